@@ -6,6 +6,12 @@ const Flow = require("../models/Flow");
 const FlowData = require("../models/FlowData");
 const FlowSession = require("../models/FlowSession");
 const FlowResponse = require("../models/FlowResponse");
+const FlowSubmission = require("../models/FlowSubmission");
+const FlowErrorEvent = require("../models/FlowErrorEvent");
+const WebhookSubscription = require("../models/WebhookSubscription");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const DataSourceCacheEntry = require("../models/DataSourceCacheEntry");
+const ApiKey = require("../models/ApiKey");
 
 const MONGODB_URI = process.env.MONGODB_URI;
 
@@ -41,6 +47,12 @@ const createIndexes = async () => {
     await FlowData.createIndexes();
     await FlowSession.createIndexes();
     await FlowResponse.createIndexes();
+    await FlowSubmission.createIndexes();
+    await FlowErrorEvent.createIndexes();
+    await WebhookSubscription.createIndexes();
+    await WebhookDelivery.createIndexes();
+    await DataSourceCacheEntry.createIndexes();
+    await ApiKey.createIndexes();
 
     console.log("✅ Database indexes created successfully");
   } catch (error) {
@@ -0,0 +1,101 @@
+const Flow = require("../models/Flow");
+const {
+  findActiveApiKey,
+  hasScope,
+  hasAllBusinessAccess,
+  canAccessBusiness,
+} = require("../services/apiKeyService");
+
+/**
+ * Read the API key from "Authorization: Bearer <key>" or "X-API-Key"
+ */
+const getRequestApiKey = (req) => {
+  const authorization = req.headers.authorization || "";
+  if (authorization.startsWith("Bearer ")) {
+    return authorization.slice("Bearer ".length).trim();
+  }
+  return req.headers["x-api-key"];
+};
+
+// Default business lookup: route param, then body, then query string
+const defaultBusinessId = (req) =>
+  req.params.businessId ||
+  (req.body && req.body.business_id) ||
+  req.query.business_id;
+
+/**
+ * Business that owns the flow in req.params.flowId
+ */
+const businessIdForFlow = async (req) => {
+  const flow = await Flow.findOne({ id: req.params.flowId });
+  return flow ? flow.business_id : null;
+};
+
+/**
+ * Require an API key with a scope, limited to the business being accessed
+ * @param {string} scope - Required scope, e.g. "business:read"
+ * @param {Object} options
+ * @param {Function} options.getBusinessId - Resolves the business ID for the request
+ * @param {boolean} options.allBusinesses - Require access to every business ("*")
+ * @param {boolean} options.anyBusiness - Skip the business check (route filters by req.apiKey)
+ * @returns {Function} Express middleware; sets req.apiKey
+ */
+const requireAuth =
+  (
+    scope,
+    {
+      getBusinessId = defaultBusinessId,
+      allBusinesses = false,
+      anyBusiness = false,
+    } = {}
+  ) =>
+  async (req, res, next) => {
+    try {
+      const apiKey = await findActiveApiKey(getRequestApiKey(req));
+
+      if (!apiKey) {
+        return res.status(401).json({
+          error: "Unauthorized",
+          message: "A valid API key is required",
+        });
+      }
+
+      if (!hasScope(apiKey, scope)) {
+        return res.status(403).json({
+          error: "Forbidden",
+          message: `API key is missing the ${scope} scope`,
+        });
+      }
+
+      if (allBusinesses && !hasAllBusinessAccess(apiKey)) {
+        return res.status(403).json({
+          error: "Forbidden",
+          message: "API key must have access to all businesses",
+        });
+      }
+
+      if (!allBusinesses && !anyBusiness) {
+        const businessId = await getBusinessId(req);
+        if (!canAccessBusiness(apiKey, businessId)) {
+          return res.status(403).json({
+            error: "Forbidden",
+            message: "API key has no access to this business",
+          });
+        }
+      }
+
+      req.apiKey = apiKey;
+      next();
+    } catch (error) {
+      console.error("Error authenticating request:", error);
+      res.status(500).json({
+        error: "Authentication failed",
+        message: error.message,
+      });
+    }
+  };
+
+module.exports = {
+  requireAuth,
+  businessIdForFlow,
+};
@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+const API_KEY_SCOPES = [
+  "business:read",
+  "business:admin",
+  "responses:read",
+  "flows:read",
+  "flows:write",
+];
+
+const apiKeySchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  // SHA-256 of the full key - the key itself is only shown once
+  key_hash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // First characters of the key, to recognise it in listings
+  key_prefix: {
+    type: String,
+    required: true,
+  },
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    default: [],
+  },
+  // Businesses the key may act on; "*" grants access to every business
+  business_ids: {
+    type: [String],
+    default: [],
+  },
+  is_active: {
+    type: Boolean,
+    default: true,
+  },
+  expires_at: {
+    type: Date,
+    required: false,
+  },
+  last_used_at: {
+    type: Date,
+    required: false,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update the updated_at field before saving
+apiKeySchema.pre("save", function (next) {
+  this.updated_at = new Date();
+  next();
+});
+
+// Create indexes
+apiKeySchema.index({ is_active: 1 });
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+
+module.exports = ApiKey;
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
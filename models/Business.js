@@ -1,77 +1,198 @@
 const mongoose = require("mongoose");
+const { getPublicKeyFingerprint } = require("../utils/encryption");
+const { encryptedString } = require("../utils/fieldEncryption");
 
-const businessSchema = new mongoose.Schema({
-  id: {
-    type: String,
-    required: true,
-    unique: true,
-  },
-  name: {
-    type: String,
-    required: true,
-  },
-  email: {
-    type: String,
-    required: true,
-    unique: true,
-  },
-  // WhatsApp Business Account details
-  whatsapp_business_account_id: {
-    type: String,
-    required: false,
-  },
-  phone_number_id: {
-    type: String,
-    required: false,
-  },
-  phone_number: {
-    type: String,
-    required: false,
-  },
-  // Public key configuration
-  public_key: {
-    type: String,
-    required: false,
-  },
-  private_key: {
-    type: String,
-    required: false,
-  },
-  private_key_passphrase: {
-    type: String,
-    required: false,
-  },
-  public_key_uploaded: {
-    type: Boolean,
-    default: false,
-  },
-  public_key_uploaded_at: {
-    type: Date,
-    required: false,
-  },
-  // API credentials
-  access_token: {
-    type: String,
-    required: false,
-  },
-  app_secret: {
-    type: String,
-    required: false,
-  },
-  // Status
-  is_active: {
-    type: Boolean,
-    default: true,
-  },
-  created_at: {
-    type: Date,
-    default: Date.now,
-  },
-  updated_at: {
-    type: Date,
-    default: Date.now,
-  },
-});
+// One generation of the business RSA key pair
+const businessKeySchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      required: true,
+    },
+    fingerprint: {
+      type: String,
+      required: true,
+    },
+    public_key: {
+      type: String,
+      required: true,
+    },
+    private_key: encryptedString({
+      required: true,
+    }),
+    private_key_passphrase: encryptedString({
+      required: false,
+    }),
+    // pending: generated, not yet serving; active: current key; retired: kept for the grace window
+    status: {
+      type: String,
+      enum: ["pending", "active", "retired"],
+      default: "pending",
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+    uploaded_at: {
+      type: Date,
+      required: false,
+    },
+    activated_at: {
+      type: Date,
+      required: false,
+    },
+    retired_at: {
+      type: Date,
+      required: false,
+    },
+  },
+  {
+    _id: false,
+    toObject: { getters: true },
+    toJSON: { getters: true },
+  }
+);
+
+// Last comparison between the key Meta holds and our key generations
+const encryptionStatusSchema = new mongoose.Schema(
+  {
+    // in_sync: Meta has the active key; pending_rotation: Meta has a pending key;
+    // retired_key / mismatch: Meta has a retired or unknown key; error: Graph call failed
+    state: {
+      type: String,
+      enum: [
+        "in_sync",
+        "pending_rotation",
+        "retired_key",
+        "mismatch",
+        "not_uploaded",
+        "error",
+      ],
+      required: true,
+    },
+    local_fingerprint: {
+      type: String,
+      required: false,
+    },
+    meta_fingerprint: {
+      type: String,
+      required: false,
+    },
+    matched_key_id: {
+      type: String,
+      required: false,
+    },
+    // VALID or MISMATCH, as reported by Meta
+    signature_status: {
+      type: String,
+      required: false,
+    },
+    error: {
+      type: String,
+      required: false,
+    },
+    checked_at: {
+      type: Date,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const businessSchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // WhatsApp Business Account details
+    whatsapp_business_account_id: {
+      type: String,
+      required: false,
+    },
+    phone_number_id: {
+      type: String,
+      required: false,
+    },
+    phone_number: {
+      type: String,
+      required: false,
+    },
+    // Public key configuration
+    public_key: {
+      type: String,
+      required: false,
+    },
+    public_key_fingerprint: {
+      type: String,
+      required: false,
+    },
+    private_key: encryptedString({
+      required: false,
+    }),
+    private_key_passphrase: encryptedString({
+      required: false,
+    }),
+    public_key_uploaded: {
+      type: Boolean,
+      default: false,
+    },
+    public_key_uploaded_at: {
+      type: Date,
+      required: false,
+    },
+    // Key generations; the active one is mirrored in the fields above
+    keys: {
+      type: [businessKeySchema],
+      default: [],
+    },
+    encryption_status: {
+      type: encryptionStatusSchema,
+      required: false,
+    },
+    // API credentials (encrypted at rest, like the private key fields above)
+    access_token: encryptedString({
+      required: false,
+    }),
+    app_secret: encryptedString({
+      required: false,
+    }),
+    // X-Hub-Signature-256 policy: enforce rejects, log_only records, off skips
+    signature_mode: {
+      type: String,
+      enum: ["enforce", "log_only", "off"],
+      default: "enforce",
+    },
+    // Status
+    is_active: {
+      type: Boolean,
+      default: true,
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+    updated_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    // Decrypt secret fields when converting documents
+    toObject: { getters: true },
+    toJSON: { getters: true },
+  }
+);
 
 // Update the updated_at field before saving
 businessSchema.pre("save", function (next) {
@@ -79,8 +200,18 @@ businessSchema.pre("save", function (next) {
   next();
 });
 
+// Keep the key fingerprint in sync with the public key
+businessSchema.pre("save", function (next) {
+  if (this.isModified("public_key") && this.public_key) {
+    this.public_key_fingerprint = getPublicKeyFingerprint(this.public_key);
+  }
+  next();
+});
+
 // Create indexes
 businessSchema.index({ phone_number_id: 1 });
+businessSchema.index({ public_key_fingerprint: 1 });
+businessSchema.index({ "keys.fingerprint": 1 });
 businessSchema.index({ whatsapp_business_account_id: 1 });
 businessSchema.index({ is_active: 1 });
 businessSchema.index({ created_at: -1 });
@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+const dataSourceCacheEntrySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  business_id: {
+    type: String,
+    required: false,
+  },
+  flow_id: {
+    type: String,
+    required: true,
+  },
+  screen_id: {
+    type: String,
+    required: true,
+  },
+  value: {
+    type: String,
+    required: true,
+  },
+  stored_at: {
+    type: Date,
+    default: Date.now,
+  },
+  fresh_until: {
+    type: Date,
+    required: true,
+  },
+  stale_until: {
+    type: Date,
+    required: true,
+  },
+  // Last good responses are kept past staleness as an upstream fallback
+  expires_at: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Create indexes
+dataSourceCacheEntrySchema.index({ flow_id: 1, screen_id: 1 });
+
+// TTL index for automatic cleanup of expired entries
+dataSourceCacheEntrySchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const DataSourceCacheEntry = mongoose.model(
+  "DataSourceCacheEntry",
+  dataSourceCacheEntrySchema
+);
+
+module.exports = DataSourceCacheEntry;
@@ -1,5 +1,206 @@
 const mongoose = require("mongoose");
 
+// A single condition on a payload value, e.g. { field: "plan", operator: "eq", value: "pro" }
+const conditionSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    operator: {
+      type: String,
+      enum: [
+        "eq",
+        "neq",
+        "in",
+        "nin",
+        "gt",
+        "gte",
+        "lt",
+        "lte",
+        "exists",
+        "not_exists",
+        "truthy",
+        "falsy",
+      ],
+      default: "eq",
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      required: false,
+    },
+  },
+  { _id: false }
+);
+
+// Outgoing edge of the routing graph - taken when all conditions match
+const transitionSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: true,
+    },
+    conditions: {
+      type: [conditionSchema],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+// Rules for one submitted field; every rule set on it has to pass
+const fieldValidationSchema = new mongoose.Schema(
+  {
+    // Payload key, may be a dot path
+    field: {
+      type: String,
+      required: true,
+    },
+    // Name used in default error messages (defaults to the field)
+    label: {
+      type: String,
+      required: false,
+    },
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    pattern: {
+      type: String,
+      required: false,
+    },
+    pattern_flags: {
+      type: String,
+      required: false,
+    },
+    // Numeric bounds
+    min: {
+      type: Number,
+      required: false,
+    },
+    max: {
+      type: Number,
+      required: false,
+    },
+    // Characters for text, selected items for lists
+    min_length: {
+      type: Number,
+      required: false,
+    },
+    max_length: {
+      type: Number,
+      required: false,
+    },
+    enum: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: undefined,
+    },
+    // ISO dates or relative to today: "today", "+30d", "-18y", "-6m"
+    min_date: {
+      type: String,
+      required: false,
+    },
+    max_date: {
+      type: String,
+      required: false,
+    },
+    // Cross-field rule, e.g. { operator: "gte", field: "start_date" }
+    compare: {
+      type: new mongoose.Schema(
+        {
+          operator: {
+            type: String,
+            enum: ["eq", "neq", "gt", "gte", "lt", "lte"],
+            required: true,
+          },
+          field: {
+            type: String,
+            required: true,
+          },
+        },
+        { _id: false }
+      ),
+      required: false,
+    },
+    // Replaces the default message of any failing rule
+    message: {
+      type: String,
+      required: false,
+    },
+  },
+  { _id: false }
+);
+
+const screenSchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: false,
+    },
+    terminal: {
+      type: Boolean,
+      default: false,
+    },
+    // Keys the screen declares in its data model - only these are sent back
+    data_keys: {
+      type: [String],
+      default: [],
+    },
+    // Static values merged into the screen data
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      required: false,
+    },
+    transitions: {
+      type: [transitionSchema],
+      default: [],
+    },
+    // Checked on data_exchange before the flow moves on; failures return the
+    // screen with error_message and, when declared, field_errors data
+    validations: {
+      type: [fieldValidationSchema],
+      default: [],
+    },
+    // API asked to check the submission after the field rules pass, configured
+    // like a data source: { url, method, headers, query, body, timeout_ms,
+    // errors_path, message_path, fail_closed }
+    remote_validation: {
+      type: mongoose.Schema.Types.Mixed,
+      required: false,
+    },
+  },
+  { _id: false }
+);
+
+// Session lifetime and drop-off handling; unset values use the server defaults
+const sessionSettingsSchema = new mongoose.Schema(
+  {
+    // Hours of inactivity before a session is deleted
+    ttl_hours: {
+      type: Number,
+      min: 1,
+      required: false,
+    },
+    // Minutes of inactivity before an active session counts as abandoned
+    abandon_after_minutes: {
+      type: Number,
+      min: 1,
+      required: false,
+    },
+    // Also receives the flow.abandoned webhook event, signed with
+    // WEBHOOK_SIGNING_SECRET; not sent while that is unset
+    abandonment_webhook_url: {
+      type: String,
+      required: false,
+    },
+  },
+  { _id: false }
+);
+
 const flowSchema = new mongoose.Schema({
   id: {
     type: String,
@@ -18,6 +219,46 @@ const flowSchema = new mongoose.Schema({
     type: String,
     required: false,
   },
+  // Declarative screen definitions and routing graph
+  initial_screen: {
+    type: String,
+    required: false,
+  },
+  screens: {
+    type: [screenSchema],
+    default: [],
+  },
+  flow_json: {
+    type: String,
+    required: false,
+  },
+  session_settings: {
+    type: sessionSettingsSchema,
+    required: false,
+  },
+  // Meta flow lifecycle, managed through the Graph API
+  meta_flow_id: {
+    type: String,
+    required: false,
+  },
+  meta_status: {
+    type: String,
+    enum: ["DRAFT", "PUBLISHED", "DEPRECATED", "BLOCKED", "THROTTLED"],
+    required: false,
+  },
+  categories: {
+    type: [String],
+    default: [],
+  },
+  // Validation errors Meta reported for the last uploaded flow JSON
+  validation_errors: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: [],
+  },
+  meta_synced_at: {
+    type: Date,
+    required: false,
+  },
   is_active: {
     type: Boolean,
     default: true,
@@ -42,6 +283,7 @@ flowSchema.pre("save", function (next) {
 flowSchema.index({ business_id: 1 });
 flowSchema.index({ business_id: 1, is_active: 1 });
 flowSchema.index({ is_active: 1 });
+flowSchema.index({ meta_flow_id: 1 }, { sparse: true });
 flowSchema.index({ created_at: -1 });
 
 const Flow = mongoose.model("Flow", flowSchema);
@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+
+// Error notification Meta's Flow client sent after a failure on the device
+const flowErrorEventSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  business_id: {
+    type: String,
+    required: false,
+  },
+  flow_id: {
+    type: String,
+    required: false,
+  },
+  session_id: {
+    type: String,
+    required: false,
+  },
+  user_id: {
+    type: String,
+    required: false,
+  },
+  // Action the notification was sent with (DATA_EXCHANGE or INIT)
+  action: {
+    type: String,
+    required: false,
+  },
+  screen: {
+    type: String,
+    required: false,
+  },
+  // Error key from data.error, e.g. "invalid-screen-transition"
+  error: {
+    type: String,
+    required: true,
+  },
+  error_message: {
+    type: String,
+    required: false,
+  },
+  // Full data object of the notification
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+  expires_at: {
+    type: Date,
+    required: false,
+  },
+});
+
+// Create indexes
+flowErrorEventSchema.index({ flow_id: 1, created_at: -1 });
+flowErrorEventSchema.index({ business_id: 1, created_at: -1 });
+flowErrorEventSchema.index({ session_id: 1, created_at: -1 });
+
+// TTL index, see FLOW_ERROR_RETENTION_DAYS
+flowErrorEventSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const FlowErrorEvent = mongoose.model("FlowErrorEvent", flowErrorEventSchema);
+
+module.exports = FlowErrorEvent;
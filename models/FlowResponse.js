@@ -5,6 +5,15 @@ const flowResponseSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  business_id: {
+    type: String,
+    required: false,
+  },
+  // WhatsApp number of the user who submitted the response
+  user_id: {
+    type: String,
+    required: false,
+  },
   session_id: {
     type: String,
     required: true,
@@ -21,6 +30,12 @@ const flowResponseSchema = new mongoose.Schema({
     type: String,
     required: false,
   },
+  // FlowSubmission the value was submitted in
+  submission_id: {
+    type: String,
+    required: false,
+  },
+  // Whole screen payload, only on rows saved before submissions existed
   response_data: {
     type: String,
     required: false,
@@ -41,6 +56,8 @@ flowResponseSchema.index({ created_at: -1 });
 // Compound indexes for common queries
 flowResponseSchema.index({ flow_id: 1, created_at: -1 });
 flowResponseSchema.index({ session_id: 1, created_at: -1 });
+flowResponseSchema.index({ business_id: 1, created_at: -1 });
+flowResponseSchema.index({ flow_id: 1, user_id: 1, created_at: -1 });
 
 const FlowResponse = mongoose.model("FlowResponse", flowResponseSchema);
 
@@ -10,18 +10,72 @@ const flowSessionSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  business_id: {
+    type: String,
+    required: false,
+  },
   user_id: {
     type: String,
     required: false,
   },
+  // WhatsApp message ID of the flow message that started the session
+  message_id: {
+    type: String,
+    required: false,
+  },
+  // nfm_reply message that completed the session, set by the WhatsApp webhook
+  reply_message_id: {
+    type: String,
+    required: false,
+  },
+  // active: in progress; completed: flow finished; abandoned: user left;
+  // expired: flow token or session lifetime ran out
+  status: {
+    type: String,
+    enum: ["active", "completed", "abandoned", "expired"],
+    default: "active",
+  },
   current_screen: {
     type: String,
     required: false,
   },
+  // Screens visited in order, the last one is the screen on display
+  screen_stack: {
+    type: [String],
+    default: [],
+  },
+  // Last submitted values per screen ID, re-populated on BACK
+  form_state: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  // Initial screen data given when the flow was sent (JSON)
   session_data: {
     type: String,
     required: false,
   },
+  completed_at: {
+    type: Date,
+    required: false,
+  },
+  last_activity_at: {
+    type: Date,
+    default: Date.now,
+  },
+  // Set by the abandonment sweeper
+  abandoned_at: {
+    type: Date,
+    required: false,
+  },
+  last_screen: {
+    type: String,
+    required: false,
+  },
+  // When the flow.abandoned event was queued
+  abandonment_notified_at: {
+    type: Date,
+    required: false,
+  },
   created_at: {
     type: Date,
     default: Date.now,
@@ -44,10 +98,15 @@ flowSessionSchema.pre("save", function (next) {
 
 // Create indexes
 flowSessionSchema.index({ flow_id: 1 });
+flowSessionSchema.index({ flow_id: 1, status: 1 });
+flowSessionSchema.index({ status: 1, last_activity_at: 1 });
 flowSessionSchema.index({ user_id: 1 });
+flowSessionSchema.index({ business_id: 1 });
+flowSessionSchema.index({ message_id: 1 }, { sparse: true });
 flowSessionSchema.index({ created_at: -1 });
 
 // TTL index for automatic cleanup of expired sessions
+// expires_at slides forward on activity, see flowSessionService
 flowSessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
 
 const FlowSession = mongoose.model("FlowSession", flowSessionSchema);
@@ -0,0 +1,107 @@
+const mongoose = require("mongoose");
+const { encryptedString } = require("../utils/fieldEncryption");
+
+// A file picked with a PhotoPicker or DocumentPicker, stored by Meta
+const mediaReferenceSchema = new mongoose.Schema(
+  {
+    field_name: {
+      type: String,
+      required: true,
+    },
+    media_id: {
+      type: String,
+      required: true,
+    },
+    file_name: {
+      type: String,
+      required: false,
+    },
+    cdn_url: {
+      type: String,
+      required: false,
+    },
+    // JSON of the keys needed to decrypt the CDN file
+    encryption_metadata: encryptedString({
+      required: false,
+    }),
+  },
+  { _id: false }
+);
+
+const flowSubmissionSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  business_id: {
+    type: String,
+    required: false,
+  },
+  flow_id: {
+    type: String,
+    required: true,
+  },
+  session_id: {
+    type: String,
+    required: true,
+  },
+  // WhatsApp number of the user who submitted
+  user_id: {
+    type: String,
+    required: false,
+  },
+  // screen: values submitted on one screen; final: every screen on the
+  // completed path, consolidated once the flow completes
+  kind: {
+    type: String,
+    enum: ["screen", "final"],
+    default: "screen",
+  },
+  screen_id: {
+    type: String,
+    required: false,
+  },
+  // Submitted values with their types kept (numbers, dates, arrays);
+  // media fields hold media IDs
+  values: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  media: {
+    type: [mediaReferenceSchema],
+    default: [],
+  },
+  // data_endpoint: sent to this server by the flow; nfm_reply: the final
+  // response_json Meta delivered to the WhatsApp webhook
+  source: {
+    type: String,
+    enum: ["data_endpoint", "nfm_reply"],
+    default: "data_endpoint",
+  },
+  // WhatsApp message ID of the nfm_reply
+  reply_message_id: {
+    type: String,
+    required: false,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Create indexes
+flowSubmissionSchema.index({ session_id: 1, created_at: 1 });
+flowSubmissionSchema.index({ flow_id: 1, kind: 1, created_at: -1 });
+flowSubmissionSchema.index({ business_id: 1, created_at: -1 });
+flowSubmissionSchema.index({ flow_id: 1, user_id: 1, created_at: -1 });
+
+// One consolidated record per session
+flowSubmissionSchema.index(
+  { session_id: 1 },
+  { unique: true, partialFilterExpression: { kind: "final" } }
+);
+
+const FlowSubmission = mongoose.model("FlowSubmission", flowSubmissionSchema);
+
+module.exports = FlowSubmission;
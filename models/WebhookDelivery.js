@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+
+const webhookDeliverySchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Shared by every delivery of the same event
+  event_id: {
+    type: String,
+    required: true,
+  },
+  event: {
+    type: String,
+    required: true,
+  },
+  business_id: {
+    type: String,
+    required: false,
+  },
+  flow_id: {
+    type: String,
+    required: false,
+  },
+  // Empty for deliveries to a flow's abandonment_webhook_url
+  subscription_id: {
+    type: String,
+    required: false,
+  },
+  url: {
+    type: String,
+    required: true,
+  },
+  // Request body, exactly as signed and sent
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  // pending: waiting for its next attempt; delivering: claimed by a worker;
+  // delivered: 2xx received; dead: out of attempts, replay to try again
+  status: {
+    type: String,
+    enum: ["pending", "delivering", "delivered", "dead"],
+    default: "pending",
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  next_attempt_at: {
+    type: Date,
+    default: Date.now,
+  },
+  last_attempt_at: {
+    type: Date,
+    required: false,
+  },
+  last_status_code: {
+    type: Number,
+    required: false,
+  },
+  last_error: {
+    type: String,
+    required: false,
+  },
+  delivered_at: {
+    type: Date,
+    required: false,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Create indexes
+webhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+webhookDeliverySchema.index({ business_id: 1, created_at: -1 });
+webhookDeliverySchema.index({ subscription_id: 1, created_at: -1 });
+webhookDeliverySchema.index({ event_id: 1 });
+
+const WebhookDelivery = mongoose.model(
+  "WebhookDelivery",
+  webhookDeliverySchema
+);
+
+module.exports = WebhookDelivery;
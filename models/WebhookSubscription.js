@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+const { encryptedString } = require("../utils/fieldEncryption");
+
+const WEBHOOK_EVENTS = [
+  "flow.started",
+  "flow.screen_submitted",
+  "flow.completed",
+  "flow.abandoned",
+];
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  business_id: {
+    type: String,
+    required: true,
+  },
+  url: {
+    type: String,
+    required: true,
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    default: [],
+  },
+  // Only events of these flows; empty for every flow of the business
+  flow_ids: {
+    type: [String],
+    default: [],
+  },
+  // HMAC key for the X-Flow-Signature header - only shown on creation
+  secret: encryptedString({
+    required: true,
+  }),
+  description: {
+    type: String,
+    required: false,
+  },
+  is_active: {
+    type: Boolean,
+    default: true,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update the updated_at field before saving
+webhookSubscriptionSchema.pre("save", function (next) {
+  this.updated_at = new Date();
+  next();
+});
+
+// Create indexes
+webhookSubscriptionSchema.index({ business_id: 1, is_active: 1, events: 1 });
+
+const WebhookSubscription = mongoose.model(
+  "WebhookSubscription",
+  webhookSubscriptionSchema
+);
+
+module.exports = WebhookSubscription;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
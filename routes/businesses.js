@@ -2,42 +2,79 @@ const express = require("express");
 const {
   createBusiness,
   uploadPublicKeyToMeta,
+  checkEncryptionStatus,
   getBusiness,
   getBusinessWithCredentials,
   updateWhatsAppConfig,
   listBusinesses,
   deleteBusiness,
   regenerateBusinessKeys,
+  generatePendingKey,
+  uploadBusinessKey,
+  promoteBusinessKey,
+  retireBusinessKey,
+  listBusinessKeys,
+  toSafeKey,
 } = require("../services/businessService");
 const Business = require("../models/Business");
+const { getPublicKeyFingerprint } = require("../utils/encryption");
+const { requireAuth } = require("../middleware/auth");
+const { MetaGraphError } = require("../services/metaGraphClient");
+const {
+  createSubscription,
+  listSubscriptions,
+  updateSubscription,
+  deleteSubscription,
+  listDeliveries,
+  replayDelivery,
+} = require("../services/webhookService");
 
 const router = express.Router();
 
-// Create a new business
-router.post("/", async (req, res) => {
-  try {
-    const business = await createBusiness(req.body);
+// Health check endpoint (public, registered before /:businessId)
+router.get("/health", (req, res) => {
+  res.json({
+    success: true,
+    message: "Business service is healthy",
+    timestamp: new Date().toISOString(),
+  });
+});
 
-    // Don't return sensitive data
-    const { private_key, access_token, app_secret, ...safeBusiness } =
-      business.toObject();
+// Create a new business
+router.post(
+  "/",
+  requireAuth("business:admin", { allBusinesses: true }),
+  async (req, res) => {
+    try {
+      const business = await createBusiness(req.body);
 
-    res.status(201).json({
-      success: true,
-      message: "Business created successfully",
-      data: safeBusiness,
-    });
-  } catch (error) {
-    console.error("Error creating business:", error);
-    res.status(500).json({
-      error: "Failed to create business",
-      message: error.message,
-    });
+      // Don't return sensitive data
+      const {
+        private_key,
+        private_key_passphrase,
+        access_token,
+        app_secret,
+        keys,
+        ...safeBusiness
+      } = business.toObject();
+
+      res.status(201).json({
+        success: true,
+        message: "Business created successfully",
+        data: { ...safeBusiness, keys: (keys || []).map(toSafeKey) },
+      });
+    } catch (error) {
+      console.error("Error creating business:", error);
+      res.status(500).json({
+        error: "Failed to create business",
+        message: error.message,
+      });
+    }
   }
-});
+);
 
 // Get business by ID
-router.get("/:businessId", async (req, res) => {
+router.get("/:businessId", requireAuth("business:read"), async (req, res) => {
   try {
     const business = await getBusiness(req.params.businessId);
     res.json({
@@ -54,506 +91,782 @@ router.get("/:businessId", async (req, res) => {
 });
 
 // Get business by ID with credentials (for internal use)
-router.get("/:businessId/with-credentials", async (req, res) => {
-  try {
-    const business = await getBusinessWithCredentials(req.params.businessId);
-    res.json({
-      success: true,
-      data: business,
-    });
-  } catch (error) {
-    console.error("Error getting business with credentials:", error);
-    res.status(404).json({
-      error: "Business not found",
-      message: error.message,
-    });
+router.get(
+  "/:businessId/with-credentials",
+  requireAuth("business:admin"),
+  async (req, res) => {
+    try {
+      const business = await getBusinessWithCredentials(req.params.businessId);
+      res.json({
+        success: true,
+        data: business,
+      });
+    } catch (error) {
+      console.error("Error getting business with credentials:", error);
+      res.status(404).json({
+        error: "Business not found",
+        message: error.message,
+      });
+    }
   }
-});
+);
 
 // List all businesses
-router.get("/", async (req, res) => {
-  try {
-    const businesses = await listBusinesses(req.query);
-    res.json({
-      success: true,
-      data: businesses,
-    });
-  } catch (error) {
-    console.error("Error listing businesses:", error);
-    res.status(500).json({
-      error: "Failed to list businesses",
-      message: error.message,
-    });
+router.get(
+  "/",
+  requireAuth("business:read", { anyBusiness: true }),
+  async (req, res) => {
+    try {
+      const filters = { ...req.query };
+      if (!req.apiKey.business_ids.includes("*")) {
+        filters.id = { $in: req.apiKey.business_ids };
+      }
+
+      const businesses = await listBusinesses(filters);
+      res.json({
+        success: true,
+        data: businesses,
+      });
+    } catch (error) {
+      console.error("Error listing businesses:", error);
+      res.status(500).json({
+        error: "Failed to list businesses",
+        message: error.message,
+      });
+    }
   }
-});
+);
 
 // Update business WhatsApp configuration
-router.put("/:businessId/whatsapp-config", async (req, res) => {
-  try {
-    const business = await updateWhatsAppConfig(
-      req.params.businessId,
-      req.body
-    );
-    res.json({
-      success: true,
-      message: "WhatsApp configuration updated successfully",
-      data: business,
-    });
-  } catch (error) {
-    console.error("Error updating WhatsApp config:", error);
-    res.status(500).json({
-      error: "Failed to update WhatsApp configuration",
-      message: error.message,
-    });
+router.put(
+  "/:businessId/whatsapp-config",
+  requireAuth("business:admin"),
+  async (req, res) => {
+    try {
+      const business = await updateWhatsAppConfig(
+        req.params.businessId,
+        req.body
+      );
+      res.json({
+        success: true,
+        message: "WhatsApp configuration updated successfully",
+        data: business,
+      });
+    } catch (error) {
+      console.error("Error updating WhatsApp config:", error);
+      res.status(500).json({
+        error: "Failed to update WhatsApp configuration",
+        message: error.message,
+      });
+    }
   }
-});
+);
 
 // Upload public key to Meta
-router.post("/:businessId/upload-public-key", async (req, res) => {
-  try {
-    const { phone_number_id, access_token } = req.body;
+router.post(
+  "/:businessId/upload-public-key",
+  requireAuth("business:admin"),
+  async (req, res) => {
+    try {
+      const { phone_number_id, access_token } = req.body;
 
-    if (!phone_number_id || !access_token) {
-      return res.status(400).json({
-        error: "Missing required fields",
-        message: "phone_number_id and access_token are required",
-      });
-    }
+      if (!phone_number_id || !access_token) {
+        return res.status(400).json({
+          error: "Missing required fields",
+          message: "phone_number_id and access_token are required",
+        });
+      }
 
-    const result = await uploadPublicKeyToMeta(
-      req.params.businessId,
-      phone_number_id,
-      access_token
-    );
+      const result = await uploadPublicKeyToMeta(
+        req.params.businessId,
+        phone_number_id,
+        access_token
+      );
 
-    res.json(result);
-  } catch (error) {
-    console.error("Error uploading public key:", error);
-    res.status(500).json({
-      error: "Failed to upload public key",
-      message: error.message,
-    });
+      res.json(result);
+    } catch (error) {
+      console.error("Error uploading public key:", error);
+      res.status(error instanceof MetaGraphError ? 502 : 500).json({
+        error: "Failed to upload public key",
+        message: error.message,
+      });
+    }
   }
-});
+);
 
 // Get business public key (for display purposes)
-router.get("/:businessId/public-key", async (req, res) => {
-  try {
-    const business = await getBusiness(req.params.businessId);
-    res.json({
-      success: true,
-      data: {
-        public_key: business.public_key,
-        public_key_uploaded: business.public_key_uploaded,
-        public_key_uploaded_at: business.public_key_uploaded_at,
-      },
-    });
-  } catch (error) {
-    console.error("Error getting public key:", error);
-    res.status(404).json({
-      error: "Business not found",
-      message: error.message,
-    });
+router.get(
+  "/:businessId/public-key",
+  requireAuth("business:read"),
+  async (req, res) => {
+    try {
+      const business = await getBusiness(req.params.businessId);
+      res.json({
+        success: true,
+        data: {
+          public_key: business.public_key,
+          public_key_fingerprint:
+            business.public_key_fingerprint ||
+            (business.public_key &&
+              getPublicKeyFingerprint(business.public_key)),
+          public_key_uploaded: business.public_key_uploaded,
+          public_key_uploaded_at: business.public_key_uploaded_at,
+        },
+      });
+    } catch (error) {
+      console.error("Error getting public key:", error);
+      res.status(404).json({
+        error: "Business not found",
+        message: error.message,
+      });
+    }
   }
-});
+);
 
-// Delete business
-router.delete("/:businessId", async (req, res) => {
-  try {
-    const result = await deleteBusiness(req.params.businessId);
-    res.json(result);
-  } catch (error) {
-    console.error("Error deleting business:", error);
-    res.status(500).json({
-      error: "Failed to delete business",
-      message: error.message,
-    });
+// Compare the public key Meta holds with ours
+router.get(
+  "/:businessId/encryption-status",
+  requireAuth("business:read"),
+  async (req, res) => {
+    try {
+      const status = await checkEncryptionStatus(req.params.businessId);
+      res.status(status.state === "error" ? 502 : 200).json({
+        success: status.state !== "error",
+        data: status,
+      });
+    } catch (error) {
+      console.error("Error checking encryption status:", error);
+      res.status(/not found/i.test(error.message) ? 404 : 400).json({
+        error: "Failed to check encryption status",
+        message: error.message,
+      });
+    }
   }
-});
+);
 
-// Complete business onboarding (WhatsApp config + auto public key upload)
-router.post("/:businessId/onboard", async (req, res) => {
-  try {
-    const { businessId } = req.params;
-    console.log(`🚀 Starting onboarding for business: ${businessId}`);
-    console.log(`📥 Request body:`, req.body);
-
-    const {
-      whatsapp_business_account_id,
-      phone_number_id,
-      phone_number,
-      access_token,
-      app_secret,
-    } = req.body;
-
-    if (!phone_number_id || !access_token || !app_secret) {
-      console.error(`❌ Missing required fields for business ${businessId}`);
-      return res.status(400).json({
-        error: "Missing required fields",
-        message: "phone_number_id, access_token, and app_secret are required",
-        received: {
-          phone_number_id: !!phone_number_id,
-          access_token: !!access_token,
-          app_secret: !!app_secret,
-        },
+// Delete business
+router.delete(
+  "/:businessId",
+  requireAuth("business:admin"),
+  async (req, res) => {
+    try {
+      const result = await deleteBusiness(req.params.businessId);
+      res.json(result);
+    } catch (error) {
+      console.error("Error deleting business:", error);
+      res.status(500).json({
+        error: "Failed to delete business",
+        message: error.message,
       });
     }
+  }
+);
 
-    // Step 1: Update WhatsApp configuration
-    console.log(`📱 Configuring WhatsApp for business ${businessId}...`);
+// Complete business onboarding (WhatsApp config + auto public key upload)
+router.post(
+  "/:businessId/onboard",
+  requireAuth("business:admin"),
+  async (req, res) => {
     try {
-      const business = await updateWhatsAppConfig(businessId, {
+      const { businessId } = req.params;
+      console.log(`🚀 Starting onboarding for business: ${businessId}`);
+      console.log(`📥 Request body:`, req.body);
+
+      const {
         whatsapp_business_account_id,
         phone_number_id,
         phone_number,
         access_token,
         app_secret,
-      });
-      console.log(`✅ WhatsApp config updated for business ${businessId}`);
-    } catch (configError) {
-      console.error(
-        `❌ Failed to update WhatsApp config for business ${businessId}:`,
-        configError
-      );
-      throw configError;
-    }
+      } = req.body;
+
+      if (!phone_number_id || !access_token || !app_secret) {
+        console.error(`❌ Missing required fields for business ${businessId}`);
+        return res.status(400).json({
+          error: "Missing required fields",
+          message: "phone_number_id, access_token, and app_secret are required",
+          received: {
+            phone_number_id: !!phone_number_id,
+            access_token: !!access_token,
+            app_secret: !!app_secret,
+          },
+        });
+      }
 
-    // Step 2: Auto-upload public key
-    console.log(`🔑 Auto-uploading public key for business ${businessId}...`);
-    try {
-      const uploadResult = await uploadPublicKeyToMeta(
-        businessId,
-        phone_number_id,
-        access_token
-      );
-      console.log(`✅ Public key uploaded for business ${businessId}`);
-    } catch (uploadError) {
+      // Step 1: Update WhatsApp configuration
+      console.log(`📱 Configuring WhatsApp for business ${businessId}...`);
+      try {
+        const business = await updateWhatsAppConfig(businessId, {
+          whatsapp_business_account_id,
+          phone_number_id,
+          phone_number,
+          access_token,
+          app_secret,
+        });
+        console.log(`✅ WhatsApp config updated for business ${businessId}`);
+      } catch (configError) {
+        console.error(
+          `❌ Failed to update WhatsApp config for business ${businessId}:`,
+          configError
+        );
+        throw configError;
+      }
+
+      // Step 2: Auto-upload public key
+      console.log(`🔑 Auto-uploading public key for business ${businessId}...`);
+      try {
+        const uploadResult = await uploadPublicKeyToMeta(
+          businessId,
+          phone_number_id,
+          access_token
+        );
+        console.log(`✅ Public key uploaded for business ${businessId}`);
+      } catch (uploadError) {
+        console.error(
+          `❌ Failed to upload public key for business ${businessId}:`,
+          uploadError
+        );
+        throw uploadError;
+      }
+
+      // Step 3: Get updated business info
+      const updatedBusiness = await getBusiness(businessId);
+
+      res.json({
+        success: true,
+        message: "Business onboarding completed successfully",
+        data: updatedBusiness,
+      });
+    } catch (error) {
       console.error(
-        `❌ Failed to upload public key for business ${businessId}:`,
-        uploadError
+        `❌ Error during business onboarding for ${req.params.businessId}:`,
+        error
       );
-      throw uploadError;
+      res.status(500).json({
+        error: "Onboarding failed",
+        message: error.message,
+      });
     }
-
-    // Step 3: Get updated business info
-    const updatedBusiness = await getBusiness(businessId);
-
-    res.json({
-      success: true,
-      message: "Business onboarding completed successfully",
-      data: updatedBusiness,
-    });
-  } catch (error) {
-    console.error(
-      `❌ Error during business onboarding for ${req.params.businessId}:`,
-      error
-    );
-    res.status(500).json({
-      error: "Onboarding failed",
-      message: error.message,
-    });
   }
-});
-
-// Health check endpoint
-router.get("/health", (req, res) => {
-  res.json({
-    success: true,
-    message: "Business service is healthy",
-    timestamp: new Date().toISOString(),
-  });
-});
+);
 
 // Debug endpoint to check if business exists
-router.get("/:businessId/debug", async (req, res) => {
-  try {
-    const { businessId } = req.params;
-    console.log(`🔍 Debug: Checking business ${businessId}`);
-
-    // Check if business exists in database
-    const Business = require("../models/Business");
-    const business = await Business.findOne({ id: businessId });
+router.get(
+  "/:businessId/debug",
+  requireAuth("business:read"),
+  async (req, res) => {
+    try {
+      const { businessId } = req.params;
+      console.log(`🔍 Debug: Checking business ${businessId}`);
+
+      // Check if business exists in database
+      const Business = require("../models/Business");
+      const business = await Business.findOne({ id: businessId });
+
+      if (!business) {
+        return res.status(404).json({
+          error: "Business not found",
+          message: `No business found with ID: ${businessId}`,
+          debug: {
+            searchedId: businessId,
+            totalBusinesses: await Business.countDocuments(),
+          },
+        });
+      }
 
-    if (!business) {
-      return res.status(404).json({
-        error: "Business not found",
-        message: `No business found with ID: ${businessId}`,
-        debug: {
-          searchedId: businessId,
-          totalBusinesses: await Business.countDocuments(),
+      res.json({
+        success: true,
+        message: "Business found",
+        data: {
+          id: business.id,
+          name: business.name,
+          email: business.email,
+          hasPublicKey: !!business.public_key,
+          hasAccessToken: !!business.access_token,
+          hasPhoneNumberId: !!business.phone_number_id,
+          publicKeyUploaded: business.public_key_uploaded,
         },
       });
+    } catch (error) {
+      console.error("Debug error:", error);
+      res.status(500).json({
+        error: "Debug failed",
+        message: error.message,
+      });
     }
-
-    res.json({
-      success: true,
-      message: "Business found",
-      data: {
-        id: business.id,
-        name: business.name,
-        email: business.email,
-        hasPublicKey: !!business.public_key,
-        hasAccessToken: !!business.access_token,
-        hasPhoneNumberId: !!business.phone_number_id,
-        publicKeyUploaded: business.public_key_uploaded,
-      },
-    });
-  } catch (error) {
-    console.error("Debug error:", error);
-    res.status(500).json({
-      error: "Debug failed",
-      message: error.message,
-    });
   }
-});
+);
 
 // Regenerate keys for a business
-router.post("/:businessId/regenerate-keys", async (req, res) => {
-  try {
-    const { businessId } = req.params;
+router.post(
+  "/:businessId/regenerate-keys",
+  requireAuth("business:admin"),
+  async (req, res) => {
+    try {
+      const { businessId } = req.params;
 
-    console.log(`🔑 Regenerating keys for business: ${businessId}`);
+      console.log(`🔑 Regenerating keys for business: ${businessId}`);
 
-    const updatedBusiness = await regenerateBusinessKeys(businessId);
+      const updatedBusiness = await regenerateBusinessKeys(businessId);
 
-    res.json({
-      success: true,
-      message: "Keys regenerated successfully",
-      business: {
-        id: updatedBusiness.id,
-        name: updatedBusiness.name,
-        public_key_uploaded: updatedBusiness.public_key_uploaded,
-      },
-    });
-  } catch (error) {
-    console.error("Error regenerating keys:", error);
-    res.status(500).json({
-      error: "Failed to regenerate keys",
-      message: error.message,
-    });
-  }
-});
-
-// Debug app secret for a business
-router.get("/:businessId/app-secret", async (req, res) => {
-  try {
-    const { businessId } = req.params;
+      const newKey = updatedBusiness.keys[updatedBusiness.keys.length - 1];
 
-    const business = await Business.findOne({ id: businessId });
-    if (!business) {
-      return res.status(404).json({
-        error: "Business not found",
-        message: `Business with ID ${businessId} not found`,
+      res.json({
+        success: true,
+        message:
+          newKey.status === "pending"
+            ? "New key generated - upload and promote it to complete rotation"
+            : "Keys regenerated successfully",
+        business: {
+          id: updatedBusiness.id,
+          name: updatedBusiness.name,
+          public_key_uploaded: updatedBusiness.public_key_uploaded,
+        },
+        key: {
+          id: newKey.id,
+          fingerprint: newKey.fingerprint,
+          status: newKey.status,
+        },
+      });
+    } catch (error) {
+      console.error("Error regenerating keys:", error);
+      res.status(500).json({
+        error: "Failed to regenerate keys",
+        message: error.message,
       });
     }
-
-    res.json({
-      success: true,
-      business: {
-        id: business.id,
-        name: business.name,
-        app_secret: business.app_secret,
-        app_secret_length: business.app_secret ? business.app_secret.length : 0,
-        has_app_secret: !!business.app_secret,
-        access_token: business.access_token ? "***masked***" : null,
-        has_access_token: !!business.access_token,
-      },
-    });
-  } catch (error) {
-    console.error("Error getting app secret:", error);
-    res.status(500).json({
-      error: "Failed to get app secret",
-      message: error.message,
-    });
   }
-});
+);
+
+// Sends a key rotation result, mapping lookup errors to 404 and rule violations to 400
+const sendKeyRotationError = (res, error, action) => {
+  console.error(`Error trying to ${action}:`, error);
+  const status = /not found/i.test(error.message)
+    ? 404
+    : error instanceof MetaGraphError
+    ? 502
+    : 400;
+  res.status(status).json({
+    error: `Failed to ${action}`,
+    message: error.message,
+  });
+};
 
-// Update app secret for a business
-router.put("/:businessId/app-secret", async (req, res) => {
-  try {
-    const { businessId } = req.params;
-    const { app_secret } = req.body;
+// List key generations for a business
+router.get(
+  "/:businessId/keys",
+  requireAuth("business:read"),
+  async (req, res) => {
+    try {
+      const keys = await listBusinessKeys(req.params.businessId);
+      res.json({ success: true, data: keys });
+    } catch (error) {
+      sendKeyRotationError(res, error, "list keys");
+    }
+  }
+);
 
-    if (!app_secret) {
-      return res.status(400).json({
-        error: "App secret required",
-        message: "app_secret field is required",
+// Key rotation step 1: generate a pending key
+router.post(
+  "/:businessId/keys",
+  requireAuth("business:admin"),
+  async (req, res) => {
+    try {
+      const { key } = await generatePendingKey(req.params.businessId);
+      res.status(201).json({
+        success: true,
+        message: `Key generated with status ${key.status}`,
+        data: key,
       });
+    } catch (error) {
+      sendKeyRotationError(res, error, "generate key");
     }
+  }
+);
 
-    console.log(`🔑 Updating app secret for business: ${businessId}`);
+// Key rotation step 2: upload the pending key to Meta
+router.post(
+  "/:businessId/keys/:keyId/upload",
+  requireAuth("business:admin"),
+  async (req, res) => {
+    try {
+      const { key, metaResponse } = await uploadBusinessKey(
+        req.params.businessId,
+        req.params.keyId
+      );
+      res.json({
+        success: true,
+        message: "Key uploaded to Meta successfully",
+        data: key,
+        metaResponse,
+      });
+    } catch (error) {
+      sendKeyRotationError(res, error, "upload key");
+    }
+  }
+);
 
-    const updatedBusiness = await Business.findOneAndUpdate(
-      { id: businessId },
-      { $set: { app_secret: app_secret } },
-      { new: true }
-    );
+// Key rotation step 3: promote the pending key to active
+router.post(
+  "/:businessId/keys/:keyId/promote",
+  requireAuth("business:admin"),
+  async (req, res) => {
+    try {
+      const { key } = await promoteBusinessKey(
+        req.params.businessId,
+        req.params.keyId
+      );
+      res.json({
+        success: true,
+        message: "Key promoted to active",
+        data: key,
+      });
+    } catch (error) {
+      sendKeyRotationError(res, error, "promote key");
+    }
+  }
+);
 
-    if (!updatedBusiness) {
-      return res.status(404).json({
-        error: "Business not found",
-        message: `Business with ID ${businessId} not found`,
+// Key rotation step 4: retire a key
+router.post(
+  "/:businessId/keys/:keyId/retire",
+  requireAuth("business:admin"),
+  async (req, res) => {
+    try {
+      const { key } = await retireBusinessKey(
+        req.params.businessId,
+        req.params.keyId
+      );
+      res.json({
+        success: true,
+        message: "Key retired",
+        data: key,
       });
+    } catch (error) {
+      sendKeyRotationError(res, error, "retire key");
     }
+  }
+);
+
+// Sends a webhook route failure, mapping lookup errors to 404 and invalid input to 400
+const sendWebhookError = (res, error, action) => {
+  const status = /not found/i.test(error.message) ? 404 : 400;
+  res.status(status).json({
+    error: `Failed to ${action}`,
+    message: error.message,
+  });
+};
 
-    res.json({
-      success: true,
-      message: "App secret updated successfully",
-      business: {
-        id: updatedBusiness.id,
-        name: updatedBusiness.name,
-        app_secret_length: updatedBusiness.app_secret.length,
-        has_app_secret: true,
-      },
-    });
-  } catch (error) {
-    console.error("Error updating app secret:", error);
-    res.status(500).json({
-      error: "Failed to update app secret",
-      message: error.message,
-    });
+// List webhook subscriptions
+router.get(
+  "/:businessId/webhooks",
+  requireAuth("business:read"),
+  async (req, res) => {
+    try {
+      const subscriptions = await listSubscriptions(req.params.businessId);
+      res.json({ success: true, data: subscriptions });
+    } catch (error) {
+      sendWebhookError(res, error, "list webhooks");
+    }
   }
-});
+);
 
-// Upload public key to Meta for a business
-router.post("/:businessId/upload-public-key", async (req, res) => {
-  try {
-    const { businessId } = req.params;
+// Subscribe to flow events; the signing secret is only returned here
+router.post(
+  "/:businessId/webhooks",
+  requireAuth("business:admin"),
+  async (req, res) => {
+    try {
+      const { url, events, flow_ids, description } = req.body;
+      const { subscription, secret } = await createSubscription(
+        req.params.businessId,
+        { url, events, flow_ids, description }
+      );
+      res.status(201).json({
+        success: true,
+        message: "Store the secret now, it cannot be retrieved again",
+        data: { ...subscription, secret },
+      });
+    } catch (error) {
+      sendWebhookError(res, error, "create webhook");
+    }
+  }
+);
 
-    console.log(`🔑 Uploading public key for business: ${businessId}`);
+router.put(
+  "/:businessId/webhooks/:subscriptionId",
+  requireAuth("business:admin"),
+  async (req, res) => {
+    try {
+      const { url, events, flow_ids, description, is_active } = req.body;
+      const subscription = await updateSubscription(
+        req.params.businessId,
+        req.params.subscriptionId,
+        { url, events, flow_ids, description, is_active }
+      );
+      res.json({ success: true, data: subscription });
+    } catch (error) {
+      sendWebhookError(res, error, "update webhook");
+    }
+  }
+);
 
-    const business = await Business.findOne({ id: businessId });
-    if (!business) {
-      return res.status(404).json({
-        error: "Business not found",
-        message: `Business with ID ${businessId} not found`,
-      });
+router.delete(
+  "/:businessId/webhooks/:subscriptionId",
+  requireAuth("business:admin"),
+  async (req, res) => {
+    try {
+      await deleteSubscription(
+        req.params.businessId,
+        req.params.subscriptionId
+      );
+      res.json({ success: true, message: "Webhook deleted" });
+    } catch (error) {
+      sendWebhookError(res, error, "delete webhook");
     }
+  }
+);
 
-    if (!business.public_key) {
-      return res.status(400).json({
-        error: "No public key",
-        message: "Business has no public key to upload",
-      });
+// List webhook deliveries (status: pending, delivering, delivered or dead)
+router.get(
+  "/:businessId/webhook-deliveries",
+  requireAuth("business:read"),
+  async (req, res) => {
+    try {
+      const deliveries = await listDeliveries(req.params.businessId, req.query);
+      res.json({ success: true, data: deliveries });
+    } catch (error) {
+      sendWebhookError(res, error, "list webhook deliveries");
     }
+  }
+);
 
-    if (!business.access_token || !business.phone_number_id) {
-      return res.status(400).json({
-        error: "Missing WhatsApp config",
-        message: "Business needs access_token and phone_number_id",
+// Send a delivery again, e.g. a dead one once the receiver is fixed
+router.post(
+  "/:businessId/webhook-deliveries/:deliveryId/replay",
+  requireAuth("business:admin"),
+  async (req, res) => {
+    try {
+      const delivery = await replayDelivery(
+        req.params.businessId,
+        req.params.deliveryId
+      );
+      res.json({
+        success: true,
+        message: "Webhook delivery queued",
+        data: delivery,
       });
+    } catch (error) {
+      sendWebhookError(res, error, "replay webhook delivery");
     }
+  }
+);
 
-    // Upload public key to Meta
-    const metaUrl = `https://graph.facebook.com/v23.0/${business.phone_number_id}/whatsapp_business_encryption`;
+// Debug app secret for a business
+router.get(
+  "/:businessId/app-secret",
+  requireAuth("business:admin"),
+  async (req, res) => {
+    try {
+      const { businessId } = req.params;
 
-    console.log(`🚀 Uploading to Meta URL: ${metaUrl}`);
+      const business = await Business.findOne({ id: businessId });
+      if (!business) {
+        return res.status(404).json({
+          error: "Business not found",
+          message: `Business with ID ${businessId} not found`,
+        });
+      }
 
-    const axios = require("axios");
-    const response = await axios.post(
-      metaUrl,
-      `business_public_key=${encodeURIComponent(business.public_key)}`,
-      {
-        headers: {
-          Authorization: `Bearer ${business.access_token}`,
-          "Content-Type": "application/x-www-form-urlencoded",
+      res.json({
+        success: true,
+        business: {
+          id: business.id,
+          name: business.name,
+          app_secret: business.app_secret,
+          app_secret_length: business.app_secret
+            ? business.app_secret.length
+            : 0,
+          has_app_secret: !!business.app_secret,
+          access_token: business.access_token ? "***masked***" : null,
+          has_access_token: !!business.access_token,
         },
+      });
+    } catch (error) {
+      console.error("Error getting app secret:", error);
+      res.status(500).json({
+        error: "Failed to get app secret",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// Update app secret for a business
+router.put(
+  "/:businessId/app-secret",
+  requireAuth("business:admin"),
+  async (req, res) => {
+    try {
+      const { businessId } = req.params;
+      const { app_secret } = req.body;
+
+      if (!app_secret) {
+        return res.status(400).json({
+          error: "App secret required",
+          message: "app_secret field is required",
+        });
       }
-    );
 
-    console.log(`✅ Meta response:`, response.data);
+      console.log(`🔑 Updating app secret for business: ${businessId}`);
 
-    // Update business record
-    await Business.findOneAndUpdate(
-      { id: businessId },
-      {
-        $set: {
-          public_key_uploaded: true,
-          public_key_uploaded_at: new Date(),
-        },
+      const updatedBusiness = await Business.findOneAndUpdate(
+        { id: businessId },
+        { $set: { app_secret: app_secret } },
+        { new: true }
+      );
+
+      if (!updatedBusiness) {
+        return res.status(404).json({
+          error: "Business not found",
+          message: `Business with ID ${businessId} not found`,
+        });
       }
-    );
 
-    res.json({
-      success: true,
-      message: "Public key uploaded to Meta successfully",
-      metaResponse: response.data,
-      business: {
-        id: business.id,
-        name: business.name,
-        public_key_uploaded: true,
-      },
-    });
-  } catch (error) {
-    console.error(
-      "Error uploading public key:",
-      error.response?.data || error.message
-    );
-    res.status(500).json({
-      error: "Failed to upload public key",
-      message: error.response?.data?.error?.message || error.message,
-      details: error.response?.data,
-    });
+      res.json({
+        success: true,
+        message: "App secret updated successfully",
+        business: {
+          id: updatedBusiness.id,
+          name: updatedBusiness.name,
+          app_secret_length: updatedBusiness.app_secret.length,
+          has_app_secret: true,
+        },
+      });
+    } catch (error) {
+      console.error("Error updating app secret:", error);
+      res.status(500).json({
+        error: "Failed to update app secret",
+        message: error.message,
+      });
+    }
   }
-});
+);
 
-// Regenerate keys for ALL businesses (utility endpoint)
-router.post("/regenerate-all-keys", async (req, res) => {
-  try {
-    console.log("🔑 Regenerating keys for ALL businesses...");
-
-    // Get all businesses without private keys
-    const businesses = await Business.find({
-      $or: [
-        { private_key: { $exists: false } },
-        { private_key: null },
-        { private_key: "" },
-      ],
-    });
+// Update signature validation policy for a business
+router.put(
+  "/:businessId/signature-mode",
+  requireAuth("business:admin"),
+  async (req, res) => {
+    try {
+      const { businessId } = req.params;
+      const { signature_mode } = req.body;
 
-    console.log(
-      `📊 Found ${businesses.length} businesses without private keys`
-    );
+      if (!["enforce", "log_only", "off"].includes(signature_mode)) {
+        return res.status(400).json({
+          error: "Invalid signature mode",
+          message: "signature_mode must be one of enforce, log_only, off",
+        });
+      }
 
-    const results = [];
+      console.log(
+        `🔏 Setting signature mode for business ${businessId}: ${signature_mode}`
+      );
 
-    for (const business of businesses) {
-      try {
-        const updatedBusiness = await regenerateBusinessKeys(business.id);
-        results.push({
-          id: business.id,
-          name: business.name,
-          status: "success",
-        });
-        console.log(
-          `✅ Keys regenerated for: ${business.name} (${business.id})`
-        );
-      } catch (error) {
-        results.push({
-          id: business.id,
-          name: business.name,
-          status: "error",
-          error: error.message,
+      const updatedBusiness = await Business.findOneAndUpdate(
+        { id: businessId },
+        { $set: { signature_mode } },
+        { new: true }
+      );
+
+      if (!updatedBusiness) {
+        return res.status(404).json({
+          error: "Business not found",
+          message: `Business with ID ${businessId} not found`,
         });
-        console.error(
-          `❌ Failed to regenerate keys for: ${business.name} (${business.id}):`,
-          error.message
-        );
       }
+
+      res.json({
+        success: true,
+        message: "Signature mode updated successfully",
+        business: {
+          id: updatedBusiness.id,
+          name: updatedBusiness.name,
+          signature_mode: updatedBusiness.signature_mode,
+          has_app_secret: !!updatedBusiness.app_secret,
+        },
+      });
+    } catch (error) {
+      console.error("Error updating signature mode:", error);
+      res.status(500).json({
+        error: "Failed to update signature mode",
+        message: error.message,
+      });
     }
+  }
+);
 
-    res.json({
-      success: true,
-      message: `Keys regeneration completed for ${businesses.length} businesses`,
-      results: results,
-    });
-  } catch (error) {
-    console.error("Error regenerating all keys:", error);
-    res.status(500).json({
-      error: "Failed to regenerate all keys",
-      message: error.message,
-    });
+// Regenerate keys for ALL businesses (utility endpoint)
+router.post(
+  "/regenerate-all-keys",
+  requireAuth("business:admin", { allBusinesses: true }),
+  async (req, res) => {
+    try {
+      console.log("🔑 Regenerating keys for ALL businesses...");
+
+      // Get all businesses without private keys
+      const businesses = await Business.find({
+        $or: [
+          { private_key: { $exists: false } },
+          { private_key: null },
+          { private_key: "" },
+        ],
+      });
+
+      console.log(
+        `📊 Found ${businesses.length} businesses without private keys`
+      );
+
+      const results = [];
+
+      for (const business of businesses) {
+        try {
+          const updatedBusiness = await regenerateBusinessKeys(business.id);
+          results.push({
+            id: business.id,
+            name: business.name,
+            status: "success",
+          });
+          console.log(
+            `✅ Keys regenerated for: ${business.name} (${business.id})`
+          );
+        } catch (error) {
+          results.push({
+            id: business.id,
+            name: business.name,
+            status: "error",
+            error: error.message,
+          });
+          console.error(
+            `❌ Failed to regenerate keys for: ${business.name} (${business.id}):`,
+            error.message
+          );
+        }
+      }
+
+      res.json({
+        success: true,
+        message: `Keys regeneration completed for ${businesses.length} businesses`,
+        results: results,
+      });
+    } catch (error) {
+      console.error("Error regenerating all keys:", error);
+      res.status(500).json({
+        error: "Failed to regenerate all keys",
+        message: error.message,
+      });
+    }
   }
-});
+);
 
 module.exports = router;
@@ -3,24 +3,165 @@ const {
   processFlowAction,
   processEncryptedFlowRequest,
   validateFlowRequest,
+  verifyRequestSignature,
 } = require("../services/flowProcessor");
-const { FlowEndpointException } = require("../utils/encryption");
+const {
+  FlowEndpointException,
+  KeyRefreshException,
+} = require("../utils/flowErrors");
+const {
+  parseMetaFlowJson,
+  validateScreens,
+} = require("../services/flowDefinition");
+const { validateDataSourceConfig } = require("../services/dataSourceService");
+const { validateValidationConfig } = require("../services/fieldValidation");
+const {
+  createMetaFlow,
+  uploadMetaFlowJson,
+  publishMetaFlow,
+  deprecateMetaFlow,
+  syncMetaFlow,
+} = require("../services/flowLifecycleService");
+const { MetaGraphError } = require("../services/metaGraphClient");
+const { sendFlowMessage } = require("../services/flowMessageService");
+const { getSessionSettings } = require("../services/flowSessionService");
+const { listFlowErrorEvents } = require("../services/flowErrorService");
+const {
+  EXPORT_FORMATS,
+  exportFlowResponses,
+} = require("../services/responseExportService");
+const { invalidateDataSourceCache } = require("../services/dataSourceCache");
+const { getCounters } = require("../utils/metrics");
+const { requireAuth, businessIdForFlow } = require("../middleware/auth");
 const {
   getBusinessPrivateKey,
   getBusinessAppSecret,
   getBusiness,
   getBusinessWithCredentials,
   uploadPublicKeyToMeta,
+  resolveEndpointBusiness,
+  getDecryptionKeys,
 } = require("../services/businessService");
 const Flow = require("../models/Flow");
 const FlowData = require("../models/FlowData");
 const FlowSession = require("../models/FlowSession");
 const FlowResponse = require("../models/FlowResponse");
+const FlowSubmission = require("../models/FlowSubmission");
 const Business = require("../models/Business");
 
 const router = express.Router();
 
+// A key uploaded to Meta, including a pending one mid-rotation, means Meta
+// may be encrypting with it; public_key_uploaded is false during rotation
+const hasUploadedKey = (business) =>
+  business.public_key_uploaded ||
+  (business.keys || []).some((key) => key.uploaded_at);
+
+const isEncryptedFlowRequest = (body) =>
+  !!(body.encrypted_flow_data && body.encrypted_aes_key && body.initial_vector);
+
+// Send encrypted response as plain text (not JSON)
+const sendEncryptedResponse = (res, encryptedResponse) => {
+  if (!encryptedResponse) {
+    console.error("❌ Encrypted response is null or undefined");
+    return res.status(500).json({
+      error: "Encryption failed",
+      message: "Failed to encrypt response",
+    });
+  }
+
+  res.set("Content-Type", "text/plain");
+  res.set("Content-Length", encryptedResponse.length.toString());
+  console.log("📤 Sending response with Content-Type: text/plain");
+  console.log("📤 Response length:", encryptedResponse.length);
+  return res.send(encryptedResponse);
+};
+
+// Meta acts on the status alone (421 refreshes the public key, 427 closes
+// the flow, 432 reports a bad signature); anything unexpected is a 500
+const sendFlowEndpointError = (res, error, fallbackError) => {
+  if (error instanceof FlowEndpointException) {
+    console.log(`🔑 Returning HTTP ${error.statusCode}: ${error.message}`);
+    return res.status(error.statusCode).send();
+  }
+
+  console.error(`${fallbackError}:`, error);
+  return res.status(500).json({
+    error: fallbackError,
+    message: error.message,
+  });
+};
+
+// Plaintext requests for no particular business are a development shortcut
+const allowUnsignedTestRequests = () =>
+  process.env.ALLOW_UNSIGNED_TEST_REQUESTS === "true" &&
+  process.env.NODE_ENV !== "production";
+
+// Unencrypted request (for testing)
+const handleUnencryptedRequest = async (req, res, context = {}) => {
+  console.log(
+    "⚠️ Taking UNENCRYPTED request path - this returns JSON instead of Base64!"
+  );
+  console.log("⚠️ Request body:", req.body);
+  const { action, screen, flow_token, session_id, payload, data } = req.body;
+
+  // Tenants that enforce signatures must sign test requests too
+  if (context.business) {
+    try {
+      verifyRequestSignature(req, context.business);
+    } catch (error) {
+      if (error instanceof FlowEndpointException) {
+        return res.status(error.statusCode).json({
+          error: "Invalid signature",
+          message: error.message,
+        });
+      }
+      throw error;
+    }
+  } else if (!allowUnsignedTestRequests()) {
+    // Nothing to check a signature against; only trusted in development
+    console.error("❌ Rejected unencrypted request without a business");
+    return res.status(401).json({
+      error: "Unsigned request rejected",
+      message:
+        "Unencrypted requests need a business endpoint (/data-endpoint/:endpointId)",
+    });
+  }
+
+  // Validate request
+  if (!validateFlowRequest(req.body)) {
+    return res.status(400).json({
+      error: "Invalid request",
+      message: "Missing required fields: action, screen",
+    });
+  }
+
+  // Process the flow action
+  try {
+    const result = await processFlowAction({
+      action,
+      screen,
+      flow_token,
+      session_id,
+      payload,
+      data,
+      context,
+    });
+
+    return res.json(result);
+  } catch (error) {
+    if (error instanceof FlowEndpointException) {
+      return res.status(error.statusCode).json({
+        error: "Flow request rejected",
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
 // Main Data Endpoint - This is what Meta will call
+// Kept for existing flows; new flows should use /data-endpoint/:endpointId
 router.post("/data-endpoint", async (req, res) => {
   try {
     // Debug: Check request body structure
@@ -30,11 +171,7 @@ router.post("/data-endpoint", async (req, res) => {
     console.log("🔍 Has initial_vector:", !!req.body.initial_vector);
 
     // Check if this is an encrypted request from Meta
-    if (
-      req.body.encrypted_flow_data &&
-      req.body.encrypted_aes_key &&
-      req.body.initial_vector
-    ) {
+    if (isEncryptedFlowRequest(req.body)) {
       // Encrypted request from Meta - need to determine business from request
       // Meta doesn't send business_id, so we need to try decrypting with all businesses
       console.log(
@@ -42,91 +179,42 @@ router.post("/data-endpoint", async (req, res) => {
       );
 
       try {
-        // Debug: Check all businesses first
-        const allBusinesses = await Business.find({});
-        console.log(`📊 Total businesses in database: ${allBusinesses.length}`);
-
-        if (allBusinesses.length > 0) {
-          console.log("📋 Business details:");
-          allBusinesses.forEach((business, index) => {
-            console.log(`  ${index + 1}. Business ID: ${business.id}`);
-            console.log(
-              `     - public_key_uploaded: ${business.public_key_uploaded}`
-            );
-            console.log(`     - has access_token: ${!!business.access_token}`);
-            console.log(`     - has private_key: ${!!business.private_key}`);
-            console.log(`     - phone_number_id: ${business.phone_number_id}`);
-          });
-        }
+        // Businesses with a decryptable key, those with an uploaded key first
+        const candidates = (
+          await Business.find({
+            $or: [
+              { private_key: { $exists: true, $ne: null } },
+              { "keys.0": { $exists: true } },
+            ],
+          })
+        ).filter((business) => getDecryptionKeys(business).length > 0);
 
-        // Get all businesses with public keys uploaded
-        const businesses = await Business.find({
-          public_key_uploaded: true,
-          access_token: { $exists: true, $ne: null },
-          private_key: { $exists: true, $ne: null },
-        });
+        const businesses = candidates.filter(
+          (business) => business.access_token && hasUploadedKey(business)
+        );
 
         console.log(
           `🔑 Businesses with uploaded public keys: ${businesses.length}`
         );
 
         if (businesses.length === 0) {
-          // Fallback: Try to find businesses with at least private_key and access_token
+          // Fallback: Try any business that can decrypt at all
           console.log(
             "⚠️ No businesses with full criteria found, trying fallback..."
           );
 
-          const fallbackBusinesses = await Business.find({
-            private_key: { $exists: true, $ne: null },
-            access_token: { $exists: true, $ne: null },
-          });
-
-          console.log(
-            `🔄 Fallback businesses found: ${fallbackBusinesses.length}`
-          );
-
-          if (fallbackBusinesses.length === 0) {
-            // Last resort: Try any business with access_token
-            console.log(
-              "⚠️ No businesses with private_key found, trying access_token only..."
-            );
+          console.log(`🔄 Fallback businesses found: ${candidates.length}`);
 
-            const tokenBusinesses = await Business.find({
-              access_token: { $exists: true, $ne: null },
+          if (candidates.length === 0) {
+            return res.status(500).json({
+              error: "No businesses configured",
+              message: "No businesses found with private keys",
             });
-
-            console.log(
-              `🔄 Businesses with access_token: ${tokenBusinesses.length}`
-            );
-
-            if (tokenBusinesses.length === 0) {
-              return res.status(500).json({
-                error: "No businesses configured",
-                message: "No businesses found with public keys uploaded",
-                debug: {
-                  total_businesses: allBusinesses.length,
-                  businesses_with_public_keys: businesses.length,
-                  fallback_businesses: fallbackBusinesses.length,
-                  token_businesses: tokenBusinesses.length,
-                },
-              });
-            }
-
-            // Use token-only businesses
-            businesses.push(...tokenBusinesses);
-            console.log(
-              `✅ Using ${tokenBusinesses.length} businesses with access_token for decryption`
-            );
-          } else {
-            // Use fallback businesses
-            businesses.push(...fallbackBusinesses);
-            console.log(
-              `✅ Using ${fallbackBusinesses.length} fallback businesses for decryption`
-            );
           }
+
+          businesses.push(...candidates);
         }
 
-        let decryptionSuccessful = false;
         let encryptedResponse = null;
         let successfulBusiness = null;
 
@@ -139,12 +227,9 @@ router.post("/data-endpoint", async (req, res) => {
 
             encryptedResponse = await processEncryptedFlowRequest(
               req,
-              business.private_key,
-              business.app_secret,
-              business.private_key_passphrase || ""
+              business
             );
 
-            decryptionSuccessful = true;
             successfulBusiness = business;
             console.log(
               `✅ Successfully decrypted with business: ${business.id}`
@@ -156,91 +241,76 @@ router.post("/data-endpoint", async (req, res) => {
               decryptError.message
             );
 
-            // If it's a FlowEndpointException, return the proper HTTP status
-            if (decryptError instanceof FlowEndpointException) {
-              console.log(
-                `🔑 Returning HTTP ${decryptError.statusCode} for business ${business.id}`
+            // Anything but 421 means this business decrypted the request,
+            // so its error is the answer and other businesses are not tried
+            if (!(decryptError instanceof KeyRefreshException)) {
+              return sendFlowEndpointError(
+                res,
+                decryptError,
+                "Flow processing failed"
               );
-              return res.status(decryptError.statusCode).send();
             }
-
-            continue;
           }
         }
 
-        if (!decryptionSuccessful) {
+        if (!successfulBusiness) {
           console.error("❌ Failed to decrypt with any business");
-          return res.status(421).json({
-            error: "Decryption failed",
-            message:
-              "Unable to decrypt request with any available business key",
-          });
+          return res.status(421).send();
         }
 
         console.log(
           `🎯 Successfully processed request for business: ${successfulBusiness.id}`
         );
 
-        // Check if we have a valid encrypted response
-        if (!encryptedResponse) {
-          console.error("❌ Encrypted response is null or undefined");
-          return res.status(500).json({
-            error: "Encryption failed",
-            message: "Failed to encrypt response",
-          });
-        }
-
-        // Send encrypted response as plain text (not JSON)
-        res.set("Content-Type", "text/plain");
-        res.set("Content-Length", encryptedResponse.length.toString());
-        console.log("📤 Sending response with Content-Type: text/plain");
-        console.log("📤 Response length:", encryptedResponse.length);
-        res.send(encryptedResponse);
+        return sendEncryptedResponse(res, encryptedResponse);
       } catch (error) {
-        console.error("Error processing encrypted request:", error);
-        return res.status(500).json({
-          error: "Business configuration error",
-          message: error.message,
-        });
+        return sendFlowEndpointError(
+          res,
+          error,
+          "Business configuration error"
+        );
       }
-    } else {
-      // Unencrypted request (for testing)
-      console.log(
-        "⚠️ Taking UNENCRYPTED request path - this returns JSON instead of Base64!"
-      );
-      console.log("⚠️ Request body:", req.body);
-      const { action, screen, flow_token, session_id, payload } = req.body;
+    }
 
-      // Validate request
-      if (!validateFlowRequest(req.body)) {
-        return res.status(400).json({
-          error: "Invalid request",
-          message: "Missing required fields: action, screen",
-        });
-      }
+    return await handleUnencryptedRequest(req, res);
+  } catch (error) {
+    sendFlowEndpointError(res, error, "Flow processing failed");
+  }
+});
 
-      // Process the flow action
-      const result = await processFlowAction({
-        action,
-        screen,
-        flow_token,
-        session_id,
-        payload,
-      });
+// Per-tenant Data Endpoint - :endpointId is a business ID, flow ID or public key fingerprint
+router.post("/data-endpoint/:endpointId", async (req, res) => {
+  try {
+    const { endpointId } = req.params;
+
+    const resolved = await resolveEndpointBusiness(endpointId);
 
-      res.json(result);
+    if (!isEncryptedFlowRequest(req.body)) {
+      return await handleUnencryptedRequest(req, res, resolved || {});
     }
-  } catch (error) {
-    console.error("Flow processing error:", error);
-    res.status(500).json({
-      error: "Flow processing failed",
-      message: error.message,
+
+    if (!resolved || !resolved.business.private_key) {
+      console.error(`❌ No business with a private key for ${endpointId}`);
+      return res.status(404).json({
+        error: "Business not found",
+        message: `No business configured for endpoint ${endpointId}`,
+      });
+    }
+
+    const { business, flow } = resolved;
+    console.log(`🔐 Routing encrypted request to business: ${business.id}`);
+
+    const encryptedResponse = await processEncryptedFlowRequest(req, business, {
+      flow,
     });
+    return sendEncryptedResponse(res, encryptedResponse);
+  } catch (error) {
+    sendFlowEndpointError(res, error, "Flow processing failed");
   }
 });
 
 // Configuration endpoints
-router.post("/config", async (req, res) => {
+router.post("/config", requireAuth("flows:write"), async (req, res) => {
   try {
     const { business_id, flow_id, name, endpoint_url } = req.body;
 
@@ -270,8 +340,13 @@ router.post("/config", async (req, res) => {
       });
     }
 
-    // Auto-upload public key if not already uploaded
-    if (!business.public_key_uploaded) {
+    // Auto-upload public key if not already uploaded; while a pending key
+    // is being rotated in the flag is false on purpose, re-uploading the
+    // active key would undo the rotation
+    const rotating = (business.keys || []).some(
+      (key) => key.status === "pending"
+    );
+    if (!business.public_key_uploaded && !rotating) {
       try {
         console.log(
           `🔑 Auto-uploading public key for business ${business_id}...`
@@ -323,110 +398,627 @@ router.post("/config", async (req, res) => {
   }
 });
 
-router.get("/config/:flowId", async (req, res) => {
-  try {
-    const { flowId } = req.params;
+router.get(
+  "/config/:flowId",
+  requireAuth("flows:read", { getBusinessId: businessIdForFlow }),
+  async (req, res) => {
+    try {
+      const { flowId } = req.params;
 
-    const flow = await Flow.findOne({ id: flowId });
-    if (!flow) {
-      return res.status(404).json({ error: "Configuration not found" });
+      const flow = await Flow.findOne({ id: flowId });
+      if (!flow) {
+        return res.status(404).json({ error: "Configuration not found" });
+      }
+
+      res.json(flow);
+    } catch (error) {
+      console.error("Error getting configuration:", error);
+      res.status(500).json({ error: error.message });
     }
+  }
+);
 
-    res.json(flow);
-  } catch (error) {
-    console.error("Error getting configuration:", error);
-    res.status(500).json({ error: error.message });
+// Save screen definitions and routing graph for a flow
+// Accepts Meta Flow JSON (flow_json + optional transitions) or explicit screens
+router.put(
+  "/config/:flowId/definition",
+  requireAuth("flows:write", { getBusinessId: businessIdForFlow }),
+  async (req, res) => {
+    try {
+      const { flowId } = req.params;
+      const { flow_json, transitions, screens, initial_screen } = req.body;
+
+      const flow = await Flow.findOne({ id: flowId });
+      if (!flow) {
+        return res.status(404).json({ error: "Configuration not found" });
+      }
+
+      let definition;
+      try {
+        definition = flow_json
+          ? parseMetaFlowJson(flow_json, transitions)
+          : { initial_screen, screens };
+      } catch (parseError) {
+        return res.status(400).json({
+          error: "Invalid flow JSON",
+          message: parseError.message,
+        });
+      }
+
+      if (!Array.isArray(definition.screens) || !definition.screens.length) {
+        return res.status(400).json({
+          error: "Screens required",
+          message: "Provide flow_json or a non-empty screens array",
+        });
+      }
+
+      // Flow JSON carries no validation rules, keep the ones already set
+      for (const screen of definition.screens) {
+        const existing = (flow.screens || []).find(
+          (current) => current.id === screen.id
+        );
+        if (existing && screen.validations === undefined) {
+          screen.validations = existing.validations;
+        }
+        if (existing && screen.remote_validation === undefined) {
+          screen.remote_validation = existing.remote_validation;
+        }
+      }
+
+      const initialScreen =
+        definition.initial_screen || definition.screens[0].id;
+      const validationErrors = [
+        ...validateScreens(definition.screens, initialScreen),
+        ...definition.screens.flatMap((screen) =>
+          validateValidationConfig(screen)
+        ),
+      ];
+      if (validationErrors.length > 0) {
+        return res.status(400).json({
+          error: "Invalid flow definition",
+          message: validationErrors.join("; "),
+          details: validationErrors,
+        });
+      }
+
+      flow.initial_screen = initialScreen;
+      flow.screens = definition.screens;
+      if (flow_json) {
+        flow.flow_json =
+          typeof flow_json === "string" ? flow_json : JSON.stringify(flow_json);
+      }
+      await flow.save();
+
+      res.json({
+        success: true,
+        message: "Flow definition saved successfully",
+        flow_id: flowId,
+        initial_screen: flow.initial_screen,
+        screens: flow.screens.map((screen) => screen.id),
+      });
+    } catch (error) {
+      console.error("Error saving flow definition:", error);
+      res.status(500).json({ error: error.message });
+    }
   }
-});
+);
 
-router.delete("/config/:flowId", async (req, res) => {
-  try {
-    const { flowId } = req.params;
+// Validation rules for a screen's submissions; null removes the remote check
+router.put(
+  "/config/:flowId/screens/:screenId/validation",
+  requireAuth("flows:write", { getBusinessId: businessIdForFlow }),
+  async (req, res) => {
+    try {
+      const { flowId, screenId } = req.params;
+      const { validations, remote_validation } = req.body;
+
+      const flow = await Flow.findOne({ id: flowId });
+      if (!flow) {
+        return res.status(404).json({ error: "Configuration not found" });
+      }
 
-    const result = await Flow.deleteOne({ id: flowId });
-    if (result.deletedCount === 0) {
-      return res.status(404).json({ error: "Configuration not found" });
+      const screen = (flow.screens || []).find(
+        (current) => current.id === screenId
+      );
+      if (!screen) {
+        return res.status(404).json({
+          error: "Screen not found",
+          message: `Screen ${screenId} is not defined for flow ${flowId}`,
+        });
+      }
+
+      if (validations !== undefined && !Array.isArray(validations)) {
+        return res.status(400).json({
+          error: "Invalid validation rules",
+          message: "validations must be an array",
+        });
+      }
+
+      const validationErrors = validateValidationConfig({
+        id: screenId,
+        validations,
+        remote_validation,
+      });
+      if (validationErrors.length > 0) {
+        return res.status(400).json({
+          error: "Invalid validation rules",
+          message: validationErrors.join("; "),
+          details: validationErrors,
+        });
+      }
+
+      if (validations !== undefined) {
+        screen.validations = validations;
+      }
+      if (remote_validation !== undefined) {
+        screen.remote_validation = remote_validation || undefined;
+        flow.markModified("screens");
+      }
+      await flow.save();
+
+      res.json({
+        success: true,
+        flow_id: flowId,
+        screen_id: screenId,
+        validations: screen.validations,
+        remote_validation: screen.remote_validation,
+      });
+    } catch (error) {
+      console.error("Error saving validation rules:", error);
+      res.status(500).json({ error: error.message });
     }
+  }
+);
 
-    res.json({
-      success: true,
-      message: "Configuration deleted successfully",
-    });
-  } catch (error) {
-    console.error("Error deleting configuration:", error);
-    res.status(500).json({ error: error.message });
+// Session expiry and abandonment settings; null clears a value back to the
+// server default
+router.put(
+  "/config/:flowId/session-settings",
+  requireAuth("flows:write", { getBusinessId: businessIdForFlow }),
+  async (req, res) => {
+    try {
+      const { flowId } = req.params;
+
+      const flow = await Flow.findOne({ id: flowId });
+      if (!flow) {
+        return res.status(404).json({ error: "Configuration not found" });
+      }
+
+      const updates = {};
+      for (const field of ["ttl_hours", "abandon_after_minutes"]) {
+        if (req.body[field] === undefined) {
+          continue;
+        }
+        const value = req.body[field];
+        if (value !== null && (typeof value !== "number" || !(value >= 1))) {
+          return res.status(400).json({
+            error: "Invalid session settings",
+            message: `${field} must be a number of at least 1`,
+          });
+        }
+        updates[field] = value === null ? undefined : value;
+      }
+
+      const { abandonment_webhook_url } = req.body;
+      if (abandonment_webhook_url !== undefined) {
+        if (
+          abandonment_webhook_url !== null &&
+          !/^https?:\/\//.test(abandonment_webhook_url)
+        ) {
+          return res.status(400).json({
+            error: "Invalid session settings",
+            message: "abandonment_webhook_url must be an http(s) URL",
+          });
+        }
+        updates.abandonment_webhook_url = abandonment_webhook_url || undefined;
+      }
+
+      const current = flow.session_settings
+        ? flow.session_settings.toObject()
+        : {};
+      const settings = { ...current, ...updates };
+
+      // Abandonment has to be detected before the TTL index deletes the session
+      const { ttl_hours, abandon_after_minutes } = getSessionSettings({
+        session_settings: settings,
+      });
+      if (abandon_after_minutes >= ttl_hours * 60) {
+        return res.status(400).json({
+          error: "Invalid session settings",
+          message: "abandon_after_minutes must be shorter than ttl_hours",
+        });
+      }
+
+      flow.session_settings = settings;
+      await flow.save();
+
+      res.json({
+        success: true,
+        flow_id: flowId,
+        session_settings: flow.session_settings,
+        effective: getSessionSettings(flow),
+      });
+    } catch (error) {
+      console.error("Error saving session settings:", error);
+      res.status(500).json({ error: error.message });
+    }
   }
-});
+);
+
+// Sends a Meta lifecycle failure: 404 for unknown flows, 502 for Graph errors
+const sendMetaFlowError = (res, error, action) => {
+  const status = /not found/i.test(error.message)
+    ? 404
+    : error instanceof MetaGraphError
+    ? 502
+    : 400;
+  res.status(status).json({
+    error: `Failed to ${action}`,
+    message: error.message,
+    details: error.details,
+  });
+};
+
+// Meta flow lifecycle: create on the WABA, upload JSON, publish, deprecate
+router.get(
+  "/config/:flowId/meta",
+  requireAuth("flows:read", { getBusinessId: businessIdForFlow }),
+  async (req, res) => {
+    try {
+      const state = await syncMetaFlow(req.params.flowId);
+      res.json({ success: true, data: state });
+    } catch (error) {
+      sendMetaFlowError(res, error, "sync Meta flow");
+    }
+  }
+);
+
+router.post(
+  "/config/:flowId/meta",
+  requireAuth("flows:write", { getBusinessId: businessIdForFlow }),
+  async (req, res) => {
+    try {
+      const { name, categories, endpoint_url, clone_flow_id } = req.body;
+
+      if (categories !== undefined && !Array.isArray(categories)) {
+        return res.status(400).json({
+          error: "Invalid categories",
+          message: 'categories must be an array, e.g. ["SIGN_UP"]',
+        });
+      }
+
+      const state = await createMetaFlow(req.params.flowId, {
+        name,
+        categories,
+        endpoint_url,
+        clone_flow_id,
+      });
+      res.status(201).json({
+        success: true,
+        message: state.upload_error
+          ? "Flow created on Meta, flow JSON upload failed"
+          : "Flow created on Meta",
+        data: state,
+      });
+    } catch (error) {
+      sendMetaFlowError(res, error, "create Meta flow");
+    }
+  }
+);
+
+router.put(
+  "/config/:flowId/meta/json",
+  requireAuth("flows:write", { getBusinessId: businessIdForFlow }),
+  async (req, res) => {
+    try {
+      const state = await uploadMetaFlowJson(req.params.flowId);
+      res.json({
+        success: state.validation_errors.length === 0,
+        message:
+          state.validation_errors.length === 0
+            ? "Flow JSON uploaded"
+            : "Flow JSON uploaded with validation errors",
+        data: state,
+      });
+    } catch (error) {
+      sendMetaFlowError(res, error, "upload flow JSON");
+    }
+  }
+);
+
+router.post(
+  "/config/:flowId/meta/publish",
+  requireAuth("flows:write", { getBusinessId: businessIdForFlow }),
+  async (req, res) => {
+    try {
+      const state = await publishMetaFlow(req.params.flowId);
+      res.json({ success: true, message: "Flow published", data: state });
+    } catch (error) {
+      sendMetaFlowError(res, error, "publish Meta flow");
+    }
+  }
+);
+
+router.post(
+  "/config/:flowId/meta/deprecate",
+  requireAuth("flows:write", { getBusinessId: businessIdForFlow }),
+  async (req, res) => {
+    try {
+      const state = await deprecateMetaFlow(req.params.flowId);
+      res.json({ success: true, message: "Flow deprecated", data: state });
+    } catch (error) {
+      sendMetaFlowError(res, error, "deprecate Meta flow");
+    }
+  }
+);
+
+// Send a flow to a WhatsApp user as an interactive flow message
+router.post(
+  "/:flowId/send",
+  requireAuth("flows:write", { getBusinessId: businessIdForFlow }),
+  async (req, res) => {
+    try {
+      const { to, body, data } = req.body;
+
+      if (!to || !body) {
+        return res.status(400).json({
+          error: "Missing required fields",
+          message: "to and body are required",
+        });
+      }
+
+      if (data !== undefined && (typeof data !== "object" || data === null)) {
+        return res.status(400).json({
+          error: "Invalid data",
+          message: "data must be an object of initial screen values",
+        });
+      }
+
+      const result = await sendFlowMessage(req.params.flowId, req.body);
+      res.json({
+        success: true,
+        message: "Flow message sent",
+        data: result,
+      });
+    } catch (error) {
+      sendMetaFlowError(res, error, "send flow message");
+    }
+  }
+);
+
+router.delete(
+  "/config/:flowId",
+  requireAuth("flows:write", { getBusinessId: businessIdForFlow }),
+  async (req, res) => {
+    try {
+      const { flowId } = req.params;
+
+      const result = await Flow.deleteOne({ id: flowId });
+      if (result.deletedCount === 0) {
+        return res.status(404).json({ error: "Configuration not found" });
+      }
+
+      res.json({
+        success: true,
+        message: "Configuration deleted successfully",
+      });
+    } catch (error) {
+      console.error("Error deleting configuration:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
 
 // Get flow responses
-router.get("/responses/:flowId", async (req, res) => {
-  try {
+router.get(
+  "/responses/:flowId",
+  requireAuth("responses:read", { getBusinessId: businessIdForFlow }),
+  async (req, res) => {
+    try {
+      const { flowId } = req.params;
+      const { session_id, user_id, limit = 100, offset = 0 } = req.query;
+
+      let query = { flow_id: flowId };
+      if (session_id) {
+        query.session_id = session_id;
+      }
+      if (user_id) {
+        query.user_id = user_id;
+      }
+
+      const responses = await FlowResponse.find(query)
+        .sort({ created_at: -1 })
+        .limit(parseInt(limit))
+        .skip(parseInt(offset));
+
+      res.json({ responses });
+    } catch (error) {
+      console.error("Error getting flow responses:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Export responses, one row per session with a column per field
+// format: csv (default), jsonl or xlsx; from/to: ISO dates; status; screen
+router.get(
+  "/responses/:flowId/export",
+  requireAuth("responses:read", { getBusinessId: businessIdForFlow }),
+  async (req, res) => {
     const { flowId } = req.params;
-    const { session_id, limit = 100, offset = 0 } = req.query;
+    const { format = "csv", from, to, status, screen } = req.query;
+
+    const exportFormat = EXPORT_FORMATS[format];
+    if (!exportFormat) {
+      return res.status(400).json({
+        error: "Invalid export format",
+        message: `format must be one of ${Object.keys(EXPORT_FORMATS).join(
+          ", "
+        )}`,
+      });
+    }
 
-    let query = { flow_id: flowId };
-    if (session_id) {
-      query.session_id = session_id;
+    const filters = { status, screen };
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value === undefined) {
+        continue;
+      }
+      filters[name] = new Date(value);
+      if (isNaN(filters[name].getTime())) {
+        return res.status(400).json({
+          error: "Invalid date",
+          message: `${name} must be an ISO date`,
+        });
+      }
     }
 
-    const responses = await FlowResponse.find(query)
-      .sort({ created_at: -1 })
-      .limit(parseInt(limit))
-      .skip(parseInt(offset));
+    const filename = `${flowId}-responses-${new Date()
+      .toISOString()
+      .slice(0, 10)}.${exportFormat.extension}`;
+    res.setHeader("Content-Type", exportFormat.contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
 
-    res.json({ responses });
-  } catch (error) {
-    console.error("Error getting flow responses:", error);
-    res.status(500).json({ error: error.message });
+    try {
+      await exportFlowResponses({ flowId, format, filters, stream: res });
+    } catch (error) {
+      if (res.headersSent) {
+        // Part of the file is out, cut it off so it is not mistaken for complete
+        res.destroy(error);
+      } else {
+        res.removeHeader("Content-Disposition");
+        res.status(500).json({ error: error.message });
+      }
+    }
   }
-});
+);
+
+// Get flow submissions (kind: screen or final)
+router.get(
+  "/submissions/:flowId",
+  requireAuth("responses:read", { getBusinessId: businessIdForFlow }),
+  async (req, res) => {
+    try {
+      const { flowId } = req.params;
+      const { session_id, user_id, kind, limit = 100, offset = 0 } = req.query;
+
+      const query = { flow_id: flowId };
+      if (session_id) {
+        query.session_id = session_id;
+      }
+      if (user_id) {
+        query.user_id = user_id;
+      }
+      if (kind) {
+        query.kind = kind;
+      }
+
+      const submissions = await FlowSubmission.find(query)
+        .select("-media.encryption_metadata")
+        .sort({ created_at: -1 })
+        .limit(parseInt(limit))
+        .skip(parseInt(offset));
+
+      res.json({ submissions });
+    } catch (error) {
+      console.error("Error getting flow submissions:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Error notifications sent by the Flow client, newest first
+// from/to: ISO dates; error: error key, e.g. invalid-screen-transition
+router.get(
+  "/errors/:flowId",
+  requireAuth("responses:read", { getBusinessId: businessIdForFlow }),
+  async (req, res) => {
+    try {
+      const { flowId } = req.params;
+      const { session_id, user_id, error, from, to, limit, offset } = req.query;
+
+      const filters = { session_id, user_id, error, limit, offset };
+      for (const [name, value] of Object.entries({ from, to })) {
+        if (value === undefined) {
+          continue;
+        }
+        filters[name] = new Date(value);
+        if (isNaN(filters[name].getTime())) {
+          return res.status(400).json({
+            error: "Invalid date",
+            message: `${name} must be an ISO date`,
+          });
+        }
+      }
+
+      const errors = await listFlowErrorEvents(flowId, filters);
+      res.json({ errors });
+    } catch (error) {
+      console.error("Error getting flow errors:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
 
 // Get flow sessions
-router.get("/sessions/:flowId", async (req, res) => {
-  try {
-    const { flowId } = req.params;
-    const { limit = 100, offset = 0 } = req.query;
+router.get(
+  "/sessions/:flowId",
+  requireAuth("responses:read", { getBusinessId: businessIdForFlow }),
+  async (req, res) => {
+    try {
+      const { flowId } = req.params;
+      const { status, limit = 100, offset = 0 } = req.query;
+
+      const query = { flow_id: flowId };
+      if (status) {
+        query.status = status;
+      }
 
-    const sessions = await FlowSession.find({ flow_id: flowId })
-      .sort({ created_at: -1 })
-      .limit(parseInt(limit))
-      .skip(parseInt(offset));
+      const sessions = await FlowSession.find(query)
+        .sort({ created_at: -1 })
+        .limit(parseInt(limit))
+        .skip(parseInt(offset));
 
-    res.json({ sessions });
-  } catch (error) {
-    console.error("Error getting flow sessions:", error);
-    res.status(500).json({ error: error.message });
+      res.json({ sessions });
+    } catch (error) {
+      console.error("Error getting flow sessions:", error);
+      res.status(500).json({ error: error.message });
+    }
   }
-});
+);
 
 // API endpoint for dropdown data (called by your main backend)
-router.get("/dropdown-data/:flowId/:screenId", async (req, res) => {
-  try {
-    const { flowId, screenId } = req.params;
+router.get(
+  "/dropdown-data/:flowId/:screenId",
+  requireAuth("flows:read", { getBusinessId: businessIdForFlow }),
+  async (req, res) => {
+    try {
+      const { flowId, screenId } = req.params;
 
-    // Get dropdown configuration for this screen
-    const flowData = await FlowData.findOne({
-      flow_id: flowId,
-      screen_id: screenId,
-      field_name: "dropdown_options",
-    });
+      // Get dropdown configuration for this screen
+      const flowData = await FlowData.findOne({
+        flow_id: flowId,
+        screen_id: screenId,
+        field_name: "dropdown_options",
+      });
 
-    if (!flowData) {
-      return res.json({ data: [] });
-    }
+      if (!flowData) {
+        return res.json({ data: [] });
+      }
 
-    // Parse the stored dropdown options
-    const options = JSON.parse(flowData.field_value || "[]");
-    res.json({ data: options });
-  } catch (error) {
-    console.error("Error getting dropdown data:", error);
-    res.status(500).json({ error: error.message });
+      // Parse the stored dropdown options
+      const options = JSON.parse(flowData.field_value || "[]");
+      res.json({ data: options });
+    } catch (error) {
+      console.error("Error getting dropdown data:", error);
+      res.status(500).json({ error: error.message });
+    }
   }
-});
+);
 
 // Update dropdown data (called by your main backend)
 router.post(
   "/dropdown-data/:businessId/:flowId/:screenId",
+  requireAuth("flows:write"),
   async (req, res) => {
     try {
       const { businessId, flowId, screenId } = req.params;
@@ -434,6 +1026,15 @@ router.post(
 
       // Store the API configuration separately for the flow data endpoint to use
       if (apiConfig) {
+        const configErrors = validateDataSourceConfig(apiConfig);
+        if (configErrors.length > 0) {
+          return res.status(400).json({
+            error: "Invalid API configuration",
+            message: configErrors.join("; "),
+            details: configErrors,
+          });
+        }
+
         await FlowData.findOneAndUpdate(
           {
             business_id: businessId,
@@ -453,6 +1054,9 @@ router.post(
         );
       }
 
+      // Screen data changed - drop any cached responses for it
+      await invalidateDataSourceCache({ flowId, screenId });
+
       // Store the dropdown options
       const flowData = await FlowData.findOneAndUpdate(
         {
@@ -483,6 +1087,18 @@ router.post(
   }
 );
 
+// Data endpoint metrics (e.g. failed signatures per business)
+router.get(
+  "/metrics",
+  requireAuth("business:read", { allBusinesses: true }),
+  (req, res) => {
+    res.json({
+      success: true,
+      data: getCounters(req.query.name),
+    });
+  }
+);
+
 // Health check endpoint for Meta Flow requirements (GET request for manual testing)
 router.get("/health", (req, res) => {
   res.status(200).json({
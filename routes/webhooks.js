@@ -0,0 +1,72 @@
+const express = require("express");
+const {
+  verifyWebhookChallenge,
+  findWebhookBusinesses,
+  verifyWebhookSignature,
+  processWhatsAppWebhook,
+} = require("../services/whatsappWebhookService");
+
+const router = express.Router();
+
+// Meta's subscription handshake for the app's WhatsApp webhook
+router.get("/whatsapp", (req, res) => {
+  const challenge = verifyWebhookChallenge(req.query);
+  if (challenge === null || challenge === undefined) {
+    return res.status(403).send();
+  }
+
+  console.log("✅ WhatsApp webhook verified");
+  res.status(200).type("text/plain").send(challenge);
+});
+
+// WhatsApp notifications; flow replies (nfm_reply) complete their sessions
+router.post("/whatsapp", async (req, res) => {
+  try {
+    if (req.body.object !== "whatsapp_business_account") {
+      return res.status(400).json({
+        error: "Unsupported webhook object",
+        message: `Expected whatsapp_business_account, got ${req.body.object}`,
+      });
+    }
+
+    const businesses = await findWebhookBusinesses(req.body);
+    if (businesses.size === 0) {
+      // Acknowledge so Meta does not keep retrying numbers we do not serve
+      console.warn("⚠️ WhatsApp webhook for unknown phone numbers ignored");
+      return res.status(200).send();
+    }
+
+    // Changes for businesses that failed verification are skipped
+    const verified = verifyWebhookSignature(req, businesses);
+    if (verified.size === 0) {
+      return res.status(401).json({
+        error: "Invalid signature",
+        message: "X-Hub-Signature-256 validation failed",
+      });
+    }
+
+    const result = await processWhatsAppWebhook(req.body, verified);
+    console.log(
+      `📬 WhatsApp webhook: ${result.flow_replies} flow replies, ${result.ignored} ignored, ${result.failed} failed`
+    );
+
+    // Replies already processed are skipped as duplicates on the retry
+    if (result.failed > 0) {
+      return res.status(500).json({
+        error: "Webhook processing failed",
+        message: `${result.failed} flow replies could not be processed`,
+      });
+    }
+
+    res.status(200).send();
+  } catch (error) {
+    // A 5xx makes Meta retry the delivery later
+    console.error("Error processing WhatsApp webhook:", error);
+    res.status(500).json({
+      error: "Webhook processing failed",
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
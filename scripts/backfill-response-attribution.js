@@ -0,0 +1,119 @@
+/**
+ * Attribute stored flow responses to their business, flow and user
+ * Usage:
+ *   node scripts/backfill-response-attribution.js [--dry-run]
+ * Responses saved under "default_flow" or without a business are matched to
+ * their session. Sessions deleted by the TTL index are recovered from the
+ * session ID when it is a signed flow token. Anything else is left as is.
+ */
+
+const FlowResponse = require("../models/FlowResponse");
+const FlowSession = require("../models/FlowSession");
+const Flow = require("../models/Flow");
+const { initializeDatabase, closeDatabase } = require("../database/init");
+const { parseFlowToken } = require("../utils/flowToken");
+
+// Flow ID written by saveUserResponses before responses were attributed
+const PLACEHOLDER_FLOW_ID = "default_flow";
+
+// Matches missing business_id as well
+const UNATTRIBUTED = {
+  $or: [{ flow_id: PLACEHOLDER_FLOW_ID }, { business_id: null }],
+};
+
+// { flow_id, business_id, user_id } for a session, or null when unknown
+const resolveAttribution = async (sessionId) => {
+  const session = await FlowSession.findOne({ id: sessionId });
+  if (session) {
+    let businessId = session.business_id;
+    if (!businessId) {
+      const flow = await Flow.findOne({ id: session.flow_id });
+      businessId = flow ? flow.business_id : undefined;
+    }
+
+    return {
+      flow_id: session.flow_id,
+      business_id: businessId,
+      user_id: session.user_id,
+    };
+  }
+
+  const token = parseFlowToken(sessionId);
+  if (token) {
+    return {
+      flow_id: token.flow_id,
+      business_id: token.business_id,
+      user_id: token.recipient,
+    };
+  }
+
+  return null;
+};
+
+async function backfillResponseAttribution(dryRun) {
+  try {
+    console.log(
+      `🧾 Backfilling flow response attribution${dryRun ? " (dry run)" : ""}...`
+    );
+
+    await initializeDatabase();
+
+    const sessionIds = await FlowResponse.distinct("session_id", UNATTRIBUTED);
+
+    let updatedResponses = 0;
+    let unresolved = 0;
+
+    for (const sessionId of sessionIds) {
+      const attribution = await resolveAttribution(sessionId);
+      if (!attribution) {
+        unresolved++;
+        continue;
+      }
+
+      const filter = { ...UNATTRIBUTED, session_id: sessionId };
+
+      if (dryRun) {
+        updatedResponses += await FlowResponse.countDocuments(filter);
+        continue;
+      }
+
+      // Only fill in what is missing, never overwrite attributed values
+      const result = await FlowResponse.updateMany(filter, [
+        {
+          $set: {
+            flow_id: {
+              $cond: [
+                { $eq: ["$flow_id", PLACEHOLDER_FLOW_ID] },
+                attribution.flow_id,
+                "$flow_id",
+              ],
+            },
+            business_id: {
+              $ifNull: ["$business_id", attribution.business_id || null],
+            },
+            user_id: { $ifNull: ["$user_id", attribution.user_id || null] },
+          },
+        },
+      ]);
+      updatedResponses += result.modifiedCount;
+    }
+
+    console.log(
+      `✅ ${updatedResponses} responses ${
+        dryRun ? "can be attributed" : "attributed"
+      } across ${sessionIds.length - unresolved} sessions`
+    );
+    if (unresolved > 0) {
+      console.log(
+        `⚠️ ${unresolved} sessions could not be resolved and were left unchanged`
+      );
+    }
+  } catch (error) {
+    console.error(`❌ Error backfilling response attribution:`, error.message);
+    process.exitCode = 1;
+  } finally {
+    await closeDatabase();
+  }
+}
+
+backfillResponseAttribution(process.argv.includes("--dry-run"));
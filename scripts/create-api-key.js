@@ -0,0 +1,44 @@
+/**
+ * Script to create an API key for the management routes
+ * Usage: node create-api-key.js <name> <scopes> <businessIds>
+ *   scopes      comma separated, e.g. business:read,responses:read
+ *   businessIds comma separated business IDs, or * for every business
+ */
+
+const { initializeDatabase, closeDatabase } = require("../database/init");
+const { createApiKey } = require("../services/apiKeyService");
+const { API_KEY_SCOPES } = require("../models/ApiKey");
+
+async function main(name, scopes, businessIds) {
+  try {
+    await initializeDatabase();
+
+    const { apiKey, key } = await createApiKey({
+      name,
+      scopes: scopes.split(",").map((scope) => scope.trim()),
+      business_ids: businessIds.split(",").map((id) => id.trim()),
+    });
+
+    console.log(`✅ API key created: ${apiKey.name} (${apiKey.id})`);
+    console.log(`🔐 Scopes: ${apiKey.scopes.join(", ")}`);
+    console.log(`🏢 Businesses: ${apiKey.business_ids.join(", ")}`);
+    console.log("\n🔑 Key (shown only once, store it securely):");
+    console.log(key);
+  } catch (error) {
+    console.error(`❌ Error creating API key:`, error.message);
+    process.exitCode = 1;
+  } finally {
+    await closeDatabase();
+  }
+}
+
+const [name, scopes, businessIds] = process.argv.slice(2);
+
+if (!name || !scopes || !businessIds) {
+  console.error("❌ Please provide name, scopes and business IDs");
+  console.error("Usage: node create-api-key.js <name> <scopes> <businessIds>");
+  console.error(`Available scopes: ${API_KEY_SCOPES.join(", ")}`);
+  process.exit(1);
+}
+
+main(name, scopes, businessIds);
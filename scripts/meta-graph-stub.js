@@ -0,0 +1,251 @@
+/**
+ * Local stand-in for the Meta Graph API (encryption keys, flows and messages),
+ * for testing onboarding and flow management offline
+ * Usage: node meta-graph-stub.js [port]
+ * Then start the server with META_GRAPH_BASE_URL=http://localhost:<port>
+ *
+ * Access tokens starting with "invalid" get an OAuthException.
+ * META_GRAPH_STUB_TRANSIENT_FAILURES=<n> fails the first n requests with a
+ * temporary error, to exercise client retries.
+ */
+
+const express = require("express");
+
+const graphError = (res, status, error) =>
+  res.status(status).json({
+    error: { fbtrace_id: `stub-${Date.now()}`, ...error },
+  });
+
+const unknownObject = (res, id) =>
+  graphError(res, 400, {
+    message: `Unsupported request. Object with ID '${id}' does not exist`,
+    type: "GraphMethodException",
+    code: 100,
+    error_subcode: 33,
+  });
+
+// A rough stand-in for Meta's flow JSON validation
+const validateFlowJson = (content) => {
+  try {
+    const flowJson = JSON.parse(content);
+    if (!Array.isArray(flowJson.screens) || flowJson.screens.length === 0) {
+      return [
+        {
+          error: "INVALID_PROPERTY_VALUE",
+          error_type: "FLOW_JSON_ERROR",
+          message: "Flow JSON must contain at least one screen",
+        },
+      ];
+    }
+    return [];
+  } catch (error) {
+    return [
+      {
+        error: "INVALID_JSON",
+        error_type: "JSON_SCHEMA_ERROR",
+        message: error.message,
+      },
+    ];
+  }
+};
+
+/**
+ * Build the stub app with its own in-memory state
+ * @param {Object} options
+ * @param {number} options.transientFailures - Requests to fail before succeeding
+ * @returns {Object} Express app (state is exposed on app.locals.state)
+ */
+const createStubApp = ({ transientFailures = 0 } = {}) => {
+  const app = express();
+  const state = {
+    publicKeys: new Map(),
+    flows: new Map(),
+    messages: [],
+    requests: [],
+    remainingFailures: transientFailures,
+  };
+  app.locals.state = state;
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use((req, res, next) => {
+    state.requests.push({ method: req.method, path: req.path });
+    console.log(`📥 ${req.method} ${req.path}`);
+
+    if (state.remainingFailures > 0) {
+      state.remainingFailures--;
+      return graphError(res, 503, {
+        message:
+          "An unexpected error has occurred. Please retry your request later.",
+        type: "OAuthException",
+        code: 2,
+        is_transient: true,
+      });
+    }
+
+    const token = (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+    if (!token || token.startsWith("invalid")) {
+      return graphError(res, 401, {
+        message: "Invalid OAuth access token - Cannot parse access token",
+        type: "OAuthException",
+        code: 190,
+      });
+    }
+
+    next();
+  });
+
+  app.post(
+    "/:version/:phoneNumberId/whatsapp_business_encryption",
+    (req, res) => {
+      const publicKey = req.body.business_public_key;
+      if (!publicKey || !publicKey.includes("BEGIN PUBLIC KEY")) {
+        return graphError(res, 400, {
+          message: "(#100) Invalid parameter",
+          type: "OAuthException",
+          code: 100,
+          error_subcode: 2494010,
+        });
+      }
+
+      state.publicKeys.set(req.params.phoneNumberId, publicKey);
+      res.json({ success: true });
+    }
+  );
+
+  app.get(
+    "/:version/:phoneNumberId/whatsapp_business_encryption",
+    (req, res) => {
+      const publicKey = state.publicKeys.get(req.params.phoneNumberId);
+      res.json({
+        data: publicKey
+          ? [
+              {
+                business_public_key: publicKey,
+                business_public_key_signature_status: "VALID",
+              },
+            ]
+          : [],
+      });
+    }
+  );
+
+  app.post("/:version/:phoneNumberId/messages", (req, res) => {
+    if (!req.body.to || !req.body.type) {
+      return graphError(res, 400, {
+        message: "(#100) The parameter to is required.",
+        type: "OAuthException",
+        code: 100,
+      });
+    }
+
+    const id = `wamid.stub${Date.now()}`;
+    state.messages.push({ id, ...req.body });
+    res.json({
+      messaging_product: "whatsapp",
+      contacts: [{ input: req.body.to, wa_id: req.body.to.replace(/\D/g, "") }],
+      messages: [{ id }],
+    });
+  });
+
+  app.post("/:version/:wabaId/flows", (req, res) => {
+    if (!req.body.name || !Array.isArray(req.body.categories)) {
+      return graphError(res, 400, {
+        message: "(#100) name and categories are required",
+        type: "OAuthException",
+        code: 100,
+      });
+    }
+
+    const id = String(Date.now() + state.flows.size);
+    state.flows.set(id, {
+      id,
+      name: req.body.name,
+      categories: req.body.categories,
+      endpoint_uri: req.body.endpoint_uri,
+      status: "DRAFT",
+      validation_errors: [],
+    });
+    res.json({ id });
+  });
+
+  app.post(
+    "/:version/:flowId/assets",
+    express.raw({ type: "multipart/form-data", limit: "10mb" }),
+    (req, res) => {
+      const flow = state.flows.get(req.params.flowId);
+      if (!flow) {
+        return unknownObject(res, req.params.flowId);
+      }
+
+      // Pull the flow.json part out of the multipart body
+      const match =
+        /filename="[^"]*"\r\n(?:[^\r\n]+\r\n)*\r\n([\s\S]*?)\r\n--/.exec(
+          req.body.toString("utf8")
+        );
+      flow.has_json = true;
+      flow.validation_errors = validateFlowJson(match && match[1]);
+      res.json({ success: true, validation_errors: flow.validation_errors });
+    }
+  );
+
+  app.post("/:version/:flowId/:action(publish|deprecate)", (req, res) => {
+    const flow = state.flows.get(req.params.flowId);
+    if (!flow) {
+      return unknownObject(res, req.params.flowId);
+    }
+
+    if (req.params.action === "publish") {
+      if (flow.validation_errors.length > 0 || !flow.has_json) {
+        return graphError(res, 400, {
+          message: "(#139001) Publishing Flow in invalid state",
+          type: "OAuthException",
+          code: 139001,
+        });
+      }
+      flow.status = "PUBLISHED";
+    } else {
+      flow.status = "DEPRECATED";
+    }
+    res.json({ success: true });
+  });
+
+  app.get("/:version/:flowId", (req, res) => {
+    const flow = state.flows.get(req.params.flowId);
+    if (!flow) {
+      return unknownObject(res, req.params.flowId);
+    }
+
+    const { has_json, ...metaFlow } = flow;
+    res.json(metaFlow);
+  });
+
+  app.use((req, res) =>
+    graphError(res, 400, {
+      message: `Unsupported ${req.method} request. The stub does not implement ${req.path}`,
+      type: "GraphMethodException",
+      code: 100,
+    })
+  );
+
+  return app;
+};
+
+if (require.main === module) {
+  const port = parseInt(
+    process.argv[2] || process.env.META_GRAPH_STUB_PORT || "5055"
+  );
+  const app = createStubApp({
+    transientFailures: parseInt(
+      process.env.META_GRAPH_STUB_TRANSIENT_FAILURES || "0"
+    ),
+  });
+
+  app.listen(port, () => {
+    console.log(`🧪 Meta Graph stub listening on http://localhost:${port}`);
+    console.log(`   Set META_GRAPH_BASE_URL=http://localhost:${port}`);
+  });
+}
+
+module.exports = { createStubApp };
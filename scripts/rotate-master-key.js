@@ -0,0 +1,125 @@
+/**
+ * Re-encrypt stored secrets with the current master key
+ * Usage:
+ *   MASTER_ENCRYPTION_KEY=<new key> PREVIOUS_MASTER_ENCRYPTION_KEYS=<old key> \
+ *     node scripts/rotate-master-key.js [--dry-run]
+ * Covers business keys and credentials, webhook subscription secrets and the
+ * media decryption metadata of flow submissions. Plaintext secrets from before
+ * encryption was enabled are encrypted as well.
+ */
+
+const Business = require("../models/Business");
+const WebhookSubscription = require("../models/WebhookSubscription");
+const FlowSubmission = require("../models/FlowSubmission");
+const { initializeDatabase, closeDatabase } = require("../database/init");
+const { needsReencryption } = require("../utils/fieldEncryption");
+
+// fields: encrypted fields of the document; arrays: encrypted fields of the
+// subdocuments in each array
+const COLLECTIONS = [
+  {
+    name: "businesses",
+    model: Business,
+    fields: [
+      "private_key",
+      "private_key_passphrase",
+      "access_token",
+      "app_secret",
+    ],
+    arrays: { keys: ["private_key", "private_key_passphrase"] },
+  },
+  {
+    name: "webhook subscriptions",
+    model: WebhookSubscription,
+    fields: ["secret"],
+    arrays: {},
+  },
+  {
+    name: "flow submissions",
+    model: FlowSubmission,
+    query: { "media.encryption_metadata": { $exists: true, $ne: null } },
+    fields: [],
+    arrays: { media: ["encryption_metadata"] },
+  },
+];
+
+// Raw stored value, without the decrypting getter
+const isStale = (doc, field) =>
+  needsReencryption(doc.get(field, null, { getters: false }));
+
+// Reading through the getter decrypts with any known key,
+// assigning through the setter encrypts with the current key
+const reencrypt = (doc, field) => {
+  doc.set(field, doc.get(field));
+};
+
+async function rotateCollection(
+  { name, model, query = {}, fields, arrays },
+  dryRun
+) {
+  let total = 0;
+  let updated = 0;
+
+  for await (const doc of model.find(query).cursor()) {
+    total++;
+
+    const staleFields = fields.filter((field) => isStale(doc, field));
+    const staleItems = Object.entries(arrays).flatMap(([array, itemFields]) =>
+      (doc[array] || [])
+        .filter((item) => itemFields.some((field) => isStale(item, field)))
+        .map((item) => ({ array, item, itemFields }))
+    );
+
+    if (staleFields.length === 0 && staleItems.length === 0) {
+      continue;
+    }
+
+    console.log(
+      `🔑 ${name} ${doc.id}: ${[
+        ...staleFields,
+        ...staleItems.map(
+          ({ array, item }) => `${array}.${item.id || item.field_name}`
+        ),
+      ].join(", ")}`
+    );
+
+    if (!dryRun) {
+      for (const field of staleFields) {
+        reencrypt(doc, field);
+        doc.markModified(field);
+      }
+      for (const { array, item, itemFields } of staleItems) {
+        itemFields.forEach((field) => reencrypt(item, field));
+        doc.markModified(array);
+      }
+      await doc.save();
+    }
+
+    updated++;
+  }
+
+  console.log(
+    `✅ ${updated} of ${total} ${name} ${
+      dryRun ? "need re-encryption" : "re-encrypted"
+    }`
+  );
+}
+
+async function rotateMasterKey(dryRun) {
+  try {
+    console.log(`🔐 Re-encrypting secrets${dryRun ? " (dry run)" : ""}...`);
+
+    await initializeDatabase();
+
+    for (const collection of COLLECTIONS) {
+      await rotateCollection(collection, dryRun);
+    }
+  } catch (error) {
+    console.error(`❌ Error rotating master key:`, error.message);
+    process.exitCode = 1;
+  } finally {
+    await closeDatabase();
+  }
+}
+
+rotateMasterKey(process.argv.includes("--dry-run"));
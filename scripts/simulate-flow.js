@@ -0,0 +1,139 @@
+/**
+ * Drive the data endpoint like WhatsApp does, with encrypted and signed requests
+ * Usage:
+ *   node scripts/simulate-flow.js <endpointUrl> <businessId> [stepsFile] [flowToken]
+ *   node scripts/simulate-flow.js <endpointUrl> --public-key <pemFile>
+ *     [--app-secret <secret>] [stepsFile] [flowToken]
+ * stepsFile is a JSON array of { action, screen, data }; screen defaults to
+ * the screen of the last response. Without one, ping and INIT are sent.
+ * The flow token defaults to a new one signed for the business and
+ * SIMULATOR_FLOW_ID (only when the business is loaded from the database).
+ */
+
+const fs = require("fs");
+const { v4: uuidv4 } = require("uuid");
+const { createFlowSimulator } = require("../utils/flowSimulator");
+
+const DEFAULT_STEPS = [{ action: "ping" }, { action: "INIT" }];
+
+const readOption = (args, name) => {
+  const index = args.indexOf(name);
+  if (index === -1) {
+    return undefined;
+  }
+  const [, value] = args.splice(index, 2);
+  return value;
+};
+
+// { publicKey, appSecret, flowToken } from the database
+const loadBusinessCredentials = async (businessId) => {
+  const { initializeDatabase, closeDatabase } = require("../database/init");
+  const Business = require("../models/Business");
+  const { createFlowToken } = require("../utils/flowToken");
+
+  try {
+    await initializeDatabase();
+    const business = await Business.findOne({ id: businessId });
+    if (!business || !business.public_key) {
+      throw new Error(`Business ${businessId} has no public key`);
+    }
+
+    return {
+      publicKey: business.public_key,
+      appSecret: business.app_secret,
+      flowToken: process.env.SIMULATOR_FLOW_ID
+        ? createFlowToken({
+            businessId,
+            flowId: process.env.SIMULATOR_FLOW_ID,
+            recipient: "simulator",
+          })
+        : undefined,
+    };
+  } finally {
+    await closeDatabase();
+  }
+};
+
+const printResult = (result) => {
+  const screen = result.request.screen ? ` ${result.request.screen}` : "";
+  console.log(
+    `\n➡️  ${result.action}${screen} ${JSON.stringify(
+      result.request.data || {}
+    )}`
+  );
+  const icon = result.status === 200 ? "✅" : "❌";
+  console.log(`${icon} HTTP ${result.status}`);
+  if (result.body) {
+    console.log(JSON.stringify(result.body, null, 2));
+  }
+};
+
+async function main(args) {
+  try {
+    const publicKeyFile = readOption(args, "--public-key");
+    const appSecretOption = readOption(args, "--app-secret");
+    const endpointUrl = args.shift();
+
+    let credentials;
+    if (publicKeyFile) {
+      credentials = {
+        publicKey: fs.readFileSync(publicKeyFile, "utf8"),
+        appSecret: appSecretOption,
+      };
+    } else {
+      credentials = await loadBusinessCredentials(args.shift());
+    }
+
+    const [stepsFile, flowToken] = args;
+    const steps = stepsFile
+      ? JSON.parse(fs.readFileSync(stepsFile, "utf8"))
+      : DEFAULT_STEPS;
+
+    const simulator = createFlowSimulator({
+      endpointUrl,
+      publicKey: credentials.publicKey,
+      appSecret: appSecretOption || credentials.appSecret,
+      flowToken: flowToken || credentials.flowToken || uuidv4(),
+    });
+
+    console.log(
+      `🤖 Simulating ${steps.length} request(s) against ${endpointUrl}`
+    );
+    if (!appSecretOption && !credentials.appSecret) {
+      console.warn("⚠️ No app secret, requests are sent unsigned");
+    }
+
+    const results = await simulator.run(steps);
+    results.forEach(printResult);
+
+    // run() stops at the first failed request
+    if (results.some((result) => result.status !== 200)) {
+      console.error(
+        `\n❌ Stopped after ${results.length} of ${steps.length} request(s)`
+      );
+      process.exitCode = 1;
+    } else {
+      console.log(`\n✅ All ${steps.length} request(s) succeeded`);
+    }
+  } catch (error) {
+    console.error("❌ Simulation failed:", error.message);
+    process.exitCode = 1;
+  }
+}
+
+const args = process.argv.slice(2);
+
+if (args.length < 2) {
+  console.error(
+    "❌ Please provide the endpoint URL and a business ID or public key"
+  );
+  console.error(
+    "Usage: node simulate-flow.js <endpointUrl> <businessId> [stepsFile] [flowToken]"
+  );
+  console.error(
+    "       node simulate-flow.js <endpointUrl> --public-key <pemFile> [--app-secret <secret>] [stepsFile] [flowToken]"
+  );
+  process.exit(1);
+}
+
+main(args);
@@ -3,9 +3,9 @@
  * Usage: node upload-public-key.js <businessId>
  */
 
-const axios = require("axios");
 const Business = require("../models/Business");
 const { initializeDatabase } = require("../database/init");
+const { createMetaGraphClient } = require("../services/metaGraphClient");
 
 async function uploadPublicKey(businessId) {
   try {
@@ -39,9 +39,13 @@ async function uploadPublicKey(businessId) {
     }
 
     // Upload public key to Meta
-    const metaUrl = `https://graph.facebook.com/v23.0/${business.phone_number_id}/whatsapp_business_encryption`;
+    const client = createMetaGraphClient(business.access_token);
 
-    console.log(`🚀 Uploading to Meta URL: ${metaUrl}`);
+    console.log(
+      `🚀 Uploading to Meta URL: ${client.buildUrl(
+        `${business.phone_number_id}/whatsapp_business_encryption`
+      )}`
+    );
     console.log(
       `🔑 Public key (first 100 chars): ${business.public_key.substring(
         0,
@@ -49,18 +53,12 @@ async function uploadPublicKey(businessId) {
       )}...`
     );
 
-    const response = await axios.post(
-      metaUrl,
-      `business_public_key=${encodeURIComponent(business.public_key)}`,
-      {
-        headers: {
-          Authorization: `Bearer ${business.access_token}`,
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-      }
+    const metaResponse = await client.uploadBusinessPublicKey(
+      business.phone_number_id,
+      business.public_key
     );
 
-    console.log(`✅ Meta response:`, response.data);
+    console.log(`✅ Meta response:`, metaResponse);
 
     // Update business record
     await Business.findOneAndUpdate(
@@ -78,7 +76,7 @@ async function uploadPublicKey(businessId) {
   } catch (error) {
     console.error(
       `❌ Error uploading public key:`,
-      error.response?.data || error.message
+      error.details || error.message
     );
     process.exit(1);
   }
@@ -19,7 +19,10 @@ if (missingEnvVars.length > 0) {
 
 const flowRoutes = require("./routes/flows");
 const businessRoutes = require("./routes/businesses");
+const webhookRoutes = require("./routes/webhooks");
 const { initializeDatabase } = require("./database/init");
+const { startSessionSweeper } = require("./services/sessionSweeper");
+const { startWebhookWorker } = require("./services/webhookService");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -42,6 +45,7 @@ app.use(express.urlencoded({ extended: true }));
 // Routes
 app.use("/api/flows", flowRoutes);
 app.use("/api/businesses", businessRoutes);
+app.use("/api/webhooks", webhookRoutes);
 
 // Health check endpoint (GET request for manual testing)
 app.get("/health", (req, res) => {
@@ -83,6 +87,8 @@ const startServer = async () => {
   try {
     console.log("🔄 Initializing database connection...");
     await initializeDatabase();
+    startSessionSweeper();
+    startWebhookWorker();
 
     app.listen(PORT, () => {
       console.log(
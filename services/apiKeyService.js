@@ -0,0 +1,135 @@
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+const ApiKey = require("../models/ApiKey");
+const { API_KEY_SCOPES } = require("../models/ApiKey");
+
+const KEY_PREFIX = "fak_";
+
+// Scopes that include other scopes
+const IMPLIED_SCOPES = {
+  "business:admin": ["business:read"],
+  "flows:write": ["flows:read"],
+};
+
+const hashApiKey = (key) =>
+  crypto.createHash("sha256").update(key).digest("hex");
+
+/**
+ * Create an API key
+ * @param {Object} params
+ * @param {string} params.name - Human readable name
+ * @param {Array} params.scopes - Granted scopes
+ * @param {Array} params.business_ids - Allowed business IDs ("*" for all)
+ * @param {Date} params.expires_at - Optional expiry
+ * @returns {Object} { apiKey, key } - the plain key is only returned here
+ */
+const createApiKey = async ({
+  name,
+  scopes = [],
+  business_ids = [],
+  expires_at,
+}) => {
+  try {
+    const invalidScopes = scopes.filter(
+      (scope) => !API_KEY_SCOPES.includes(scope)
+    );
+    if (invalidScopes.length > 0) {
+      throw new Error(`Unknown scopes: ${invalidScopes.join(", ")}`);
+    }
+
+    if (business_ids.length === 0) {
+      throw new Error("At least one business ID (or *) is required");
+    }
+
+    const key = KEY_PREFIX + crypto.randomBytes(32).toString("base64url");
+
+    const apiKey = new ApiKey({
+      id: uuidv4(),
+      name,
+      key_hash: hashApiKey(key),
+      key_prefix: key.slice(0, KEY_PREFIX.length + 6),
+      scopes,
+      business_ids,
+      expires_at,
+    });
+
+    await apiKey.save();
+    return { apiKey, key };
+  } catch (error) {
+    console.error("Error creating API key:", error);
+    throw error;
+  }
+};
+
+/**
+ * Find the active, unexpired API key matching a plain key
+ * @param {string} key - Plain API key from the request
+ * @returns {Object|null} ApiKey document
+ */
+const findActiveApiKey = async (key) => {
+  try {
+    if (!key || !key.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const apiKey = await ApiKey.findOne({
+      key_hash: hashApiKey(key),
+      is_active: true,
+    });
+
+    if (!apiKey || (apiKey.expires_at && apiKey.expires_at <= new Date())) {
+      return null;
+    }
+
+    // Best effort - a failed timestamp update must not block the request
+    ApiKey.updateOne(
+      { id: apiKey.id },
+      { $set: { last_used_at: new Date() } }
+    ).catch((error) =>
+      console.error("Error updating API key last_used_at:", error)
+    );
+
+    return apiKey;
+  } catch (error) {
+    console.error("Error finding API key:", error);
+    throw error;
+  }
+};
+
+const hasScope = (apiKey, scope) =>
+  apiKey.scopes.some(
+    (granted) =>
+      granted === scope || (IMPLIED_SCOPES[granted] || []).includes(scope)
+  );
+
+const hasAllBusinessAccess = (apiKey) => apiKey.business_ids.includes("*");
+
+const canAccessBusiness = (apiKey, businessId) =>
+  hasAllBusinessAccess(apiKey) || apiKey.business_ids.includes(businessId);
+
+/**
+ * Deactivate an API key
+ * @param {string} apiKeyId - API key ID
+ * @returns {boolean} True if a key was revoked
+ */
+const revokeApiKey = async (apiKeyId) => {
+  try {
+    const result = await ApiKey.updateOne(
+      { id: apiKeyId },
+      { $set: { is_active: false, updated_at: new Date() } }
+    );
+    return result.modifiedCount > 0;
+  } catch (error) {
+    console.error("Error revoking API key:", error);
+    throw error;
+  }
+};
+
+module.exports = {
+  createApiKey,
+  findActiveApiKey,
+  hasScope,
+  hasAllBusinessAccess,
+  canAccessBusiness,
+  revokeApiKey,
+};
@@ -1,7 +1,17 @@
 const crypto = require("crypto");
 const Business = require("../models/Business");
-const { generateKeyPair } = require("../utils/encryption");
-const axios = require("axios");
+const Flow = require("../models/Flow");
+const {
+  generateKeyPair,
+  getPublicKeyFingerprint,
+} = require("../utils/encryption");
+const { createMetaGraphClient, MetaGraphError } = require("./metaGraphClient");
+const { v4: uuidv4 } = require("uuid");
+
+// How long a retired key is still accepted for decryption
+const KEY_ROTATION_GRACE_HOURS = parseFloat(
+  process.env.KEY_ROTATION_GRACE_HOURS || "24"
+);
 
 /**
  * Create a new business
@@ -10,18 +20,14 @@ const axios = require("axios");
  */
 const createBusiness = async (businessData) => {
   try {
-    // Generate a random passphrase for the private key
-    const passphrase = crypto.randomBytes(32).toString("hex");
-
-    // Generate RSA key pair for this business with passphrase
-    const { privateKey, publicKey } = generateKeyPair(passphrase);
+    // Generate RSA key pair for this business with a random passphrase
+    const key = buildKeyGeneration("active");
 
     const business = new Business({
       ...businessData,
-      public_key: publicKey,
-      private_key: privateKey,
-      private_key_passphrase: passphrase, // Store passphrase for decryption
+      keys: [key],
     });
+    mirrorActiveKey(business, key);
 
     await business.save();
     return business;
@@ -31,6 +37,24 @@ const createBusiness = async (businessData) => {
   }
 };
 
+/**
+ * Send a public key to Meta's WhatsApp Business encryption endpoint
+ * @param {string} phoneNumberId - WhatsApp phone number ID
+ * @param {string} accessToken - Meta access token
+ * @param {string} publicKey - Public key in PEM format
+ * @returns {Object} Meta API response body
+ */
+const postPublicKeyToMeta = async (phoneNumberId, accessToken, publicKey) => {
+  console.log(`🌐 Uploading public key to Meta for ${phoneNumberId}`);
+
+  const responseData = await createMetaGraphClient(
+    accessToken
+  ).uploadBusinessPublicKey(phoneNumberId, publicKey);
+
+  console.log(`✅ Meta API response:`, responseData);
+  return responseData;
+};
+
 /**
  * Upload public key to Meta for a business
  * @param {string} businessId - Business ID
@@ -60,33 +84,35 @@ const uploadPublicKeyToMeta = async (
     console.log(`✅ Business found with public key`);
 
     // Upload public key to Meta
-    const metaApiUrl = `https://graph.facebook.com/v23.0/${phoneNumberId}/whatsapp_business_encryption`;
-    console.log(`🌐 Calling Meta API: ${metaApiUrl}`);
-
-    // Use URLSearchParams for form-urlencoded data
-    const params = new URLSearchParams();
-    params.append("business_public_key", business.public_key);
+    const responseData = await postPublicKeyToMeta(
+      phoneNumberId,
+      accessToken,
+      business.public_key
+    );
 
-    const response = await axios.post(metaApiUrl, params, {
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        "Content-Type": "application/x-www-form-urlencoded",
-      },
-    });
+    // Update business record - preserve existing fields
+    const uploadedAt = new Date();
+    const update = {
+      public_key_uploaded: true,
+      public_key_uploaded_at: uploadedAt,
+      phone_number_id: phoneNumberId,
+      access_token: accessToken,
+    };
 
-    console.log(`✅ Meta API response:`, response.data);
+    // The top-level key mirrors the active generation, keep them in step
+    const activeKey = (business.keys || []).find(
+      (key) =>
+        key.status === "active" &&
+        key.fingerprint === business.public_key_fingerprint
+    );
+    if (activeKey) {
+      update["keys.$[uploaded].uploaded_at"] = uploadedAt;
+    }
 
-    // Update business record - preserve existing fields
     await Business.findOneAndUpdate(
       { id: businessId },
-      {
-        $set: {
-          public_key_uploaded: true,
-          public_key_uploaded_at: new Date(),
-          phone_number_id: phoneNumberId,
-          access_token: accessToken,
-        },
-      }
+      { $set: update },
+      activeKey ? { arrayFilters: [{ "uploaded.id": activeKey.id }] } : {}
     );
 
     console.log(`✅ Business record updated`);
@@ -94,24 +120,101 @@ const uploadPublicKeyToMeta = async (
     return {
       success: true,
       message: "Public key uploaded successfully",
-      data: response.data,
+      data: responseData,
     };
   } catch (error) {
     console.error(
       `❌ Error uploading public key for business ${businessId}:`,
       error
     );
-    if (error.response) {
+    if (error instanceof MetaGraphError) {
       console.error(`❌ Meta API Error Response:`, {
-        status: error.response.status,
-        statusText: error.response.statusText,
-        data: error.response.data,
+        status: error.status,
+        code: error.code,
+        fbtrace_id: error.fbtraceId,
       });
     }
     throw error;
   }
 };
 
+/**
+ * Compare the public key Meta holds for a business with our key generations
+ * and persist the outcome on business.encryption_status
+ * @param {string} businessId - Business ID
+ * @returns {Object} Encryption status
+ */
+const checkEncryptionStatus = async (businessId) => {
+  try {
+    const business = await Business.findOne({ id: businessId });
+    if (!business) {
+      throw new Error("Business not found");
+    }
+
+    if (!business.phone_number_id || !business.access_token) {
+      throw new Error("Business needs access_token and phone_number_id");
+    }
+
+    ensureKeyHistory(business);
+
+    const status = {
+      local_fingerprint:
+        business.public_key_fingerprint ||
+        (business.public_key && getPublicKeyFingerprint(business.public_key)),
+      checked_at: new Date(),
+    };
+
+    try {
+      const metaKey = await createMetaGraphClient(
+        business.access_token
+      ).getBusinessPublicKey(business.phone_number_id);
+
+      status.signature_status = metaKey.business_public_key_signature_status;
+
+      if (!metaKey.business_public_key) {
+        status.state = "not_uploaded";
+      } else {
+        status.meta_fingerprint = getPublicKeyFingerprint(
+          metaKey.business_public_key
+        );
+
+        const matchedKey = business.keys.find(
+          (key) => key.fingerprint === status.meta_fingerprint
+        );
+        status.matched_key_id = matchedKey ? matchedKey.id : undefined;
+        status.state = !matchedKey
+          ? "mismatch"
+          : matchedKey.status === "active"
+          ? "in_sync"
+          : matchedKey.status === "pending"
+          ? "pending_rotation"
+          : "retired_key";
+      }
+    } catch (error) {
+      if (!(error instanceof MetaGraphError)) {
+        throw error;
+      }
+      status.state = "error";
+      status.error = error.message;
+    }
+
+    business.encryption_status = status;
+    if (status.state !== "error") {
+      // Reflect what Meta actually has rather than the last local upload
+      business.public_key_uploaded = status.state === "in_sync";
+    }
+    await business.save();
+
+    console.log(
+      `🔍 Encryption status for business ${businessId}: ${status.state}`
+    );
+    return business.encryption_status.toObject();
+  } catch (error) {
+    console.error("Error checking encryption status:", error);
+    throw error;
+  }
+};
+
 /**
  * Get business by ID (safe version - excludes sensitive data)
  * @param {string} businessId - Business ID
@@ -125,9 +228,15 @@ const getBusiness = async (businessId) => {
     }
 
     // Don't return sensitive data
-    const { private_key, access_token, app_secret, ...safeBusiness } =
-      business.toObject();
-    return safeBusiness;
+    const {
+      private_key,
+      private_key_passphrase,
+      access_token,
+      app_secret,
+      keys,
+      ...safeBusiness
+    } = business.toObject();
+    return { ...safeBusiness, keys: (keys || []).map(toSafeKey) };
   } catch (error) {
     console.error("Error getting business:", error);
     throw error;
@@ -180,9 +289,15 @@ const updateWhatsAppConfig = async (businessId, whatsappConfig) => {
     }
 
     // Don't return sensitive data
-    const { private_key, access_token, app_secret, ...safeBusiness } =
-      business.toObject();
-    return safeBusiness;
+    const {
+      private_key,
+      private_key_passphrase,
+      access_token,
+      app_secret,
+      keys,
+      ...safeBusiness
+    } = business.toObject();
+    return { ...safeBusiness, keys: (keys || []).map(toSafeKey) };
   } catch (error) {
     console.error("Error updating WhatsApp config:", error);
     throw error;
@@ -229,43 +344,362 @@ const getBusinessAppSecret = async (businessId) => {
 
 /**
  * Regenerate key pair for an existing business
+ * The new key starts as pending so in-flight flows keep working; it is
+ * promoted straight away only when the business has no active key yet.
  * @param {string} businessId - Business ID
- * @returns {Object} Updated business with new keys
+ * @returns {Object} Updated business with the new key generation
  */
 const regenerateBusinessKeys = async (businessId) => {
   try {
     console.log(`🔑 Regenerating keys for business: ${businessId}`);
 
+    const { business } = await generatePendingKey(businessId);
+
+    console.log(`✅ Keys regenerated for business: ${businessId}`);
+    return business;
+  } catch (error) {
+    console.error("Error regenerating business keys:", error);
+    throw error;
+  }
+};
+
+/**
+ * Build a new key generation with its own random passphrase
+ * @param {string} status - Initial status (pending or active)
+ * @returns {Object} Key generation record
+ */
+const buildKeyGeneration = (status) => {
+  const passphrase = crypto.randomBytes(32).toString("hex");
+  const { privateKey, publicKey } = generateKeyPair(passphrase);
+  const now = new Date();
+
+  return {
+    id: uuidv4(),
+    fingerprint: getPublicKeyFingerprint(publicKey),
+    public_key: publicKey,
+    private_key: privateKey,
+    private_key_passphrase: passphrase,
+    status,
+    created_at: now,
+    activated_at: status === "active" ? now : undefined,
+  };
+};
+
+// Copy the active key into the top-level fields used by existing code
+const mirrorActiveKey = (business, key) => {
+  business.public_key = key.public_key;
+  business.public_key_fingerprint = key.fingerprint;
+  business.private_key = key.private_key;
+  business.private_key_passphrase = key.private_key_passphrase;
+  business.public_key_uploaded = !!key.uploaded_at;
+  business.public_key_uploaded_at = key.uploaded_at || null;
+};
+
+// Seed the key history from the single-key fields of older businesses
+const ensureKeyHistory = (business) => {
+  if (business.keys.length > 0 || !business.private_key) {
+    return;
+  }
+
+  business.keys.push({
+    id: uuidv4(),
+    fingerprint:
+      business.public_key_fingerprint ||
+      getPublicKeyFingerprint(business.public_key),
+    public_key: business.public_key,
+    private_key: business.private_key,
+    private_key_passphrase: business.private_key_passphrase,
+    status: "active",
+    created_at: business.created_at,
+    uploaded_at: business.public_key_uploaded_at || undefined,
+    activated_at: business.created_at,
+  });
+};
+
+const findBusinessKey = (business, keyId) => {
+  const key = business.keys.find((candidate) => candidate.id === keyId);
+  if (!key) {
+    throw new Error("Key not found");
+  }
+  return key;
+};
+
+// Key metadata without private material
+const toSafeKey = (key) => ({
+  id: key.id,
+  fingerprint: key.fingerprint,
+  status: key.status,
+  created_at: key.created_at,
+  uploaded_at: key.uploaded_at,
+  activated_at: key.activated_at,
+  retired_at: key.retired_at,
+});
+
+/**
+ * Generate a pending key generation (step 1 of rotation)
+ * @param {string} businessId - Business ID
+ * @returns {Object} { business, key }
+ */
+const generatePendingKey = async (businessId) => {
+  try {
     const business = await Business.findOne({ id: businessId });
     if (!business) {
       throw new Error("Business not found");
     }
 
-    // Generate a random passphrase for the private key
-    const passphrase = crypto.randomBytes(32).toString("hex");
+    ensureKeyHistory(business);
 
-    // Generate new key pair with passphrase
-    const { privateKey, publicKey } = generateKeyPair(passphrase);
+    if (business.keys.some((key) => key.status === "pending")) {
+      throw new Error(
+        "Business already has a pending key - promote or retire it first"
+      );
+    }
 
-    // Update business with new keys
-    const updatedBusiness = await Business.findOneAndUpdate(
-      { id: businessId },
-      {
-        $set: {
-          private_key: privateKey,
-          private_key_passphrase: passphrase,
-          public_key: publicKey,
-          public_key_uploaded: false, // Reset upload status since we have new keys
-          public_key_uploaded_at: null,
-        },
-      },
-      { new: true }
+    const hasActiveKey = business.keys.some((key) => key.status === "active");
+    business.keys.push(buildKeyGeneration(hasActiveKey ? "pending" : "active"));
+    const key = business.keys[business.keys.length - 1];
+
+    if (!hasActiveKey) {
+      // Nothing to overlap with, so the first key serves immediately
+      mirrorActiveKey(business, key);
+    }
+
+    await business.save();
+    console.log(
+      `🔑 Generated ${key.status} key ${key.id} for business ${businessId}`
     );
 
-    console.log(`✅ Keys regenerated for business: ${businessId}`);
-    return updatedBusiness;
+    return { business, key: toSafeKey(key) };
   } catch (error) {
-    console.error("Error regenerating business keys:", error);
+    console.error("Error generating pending key:", error);
+    throw error;
+  }
+};
+
+/**
+ * Upload a key generation's public key to Meta (step 2 of rotation)
+ * @param {string} businessId - Business ID
+ * @param {string} keyId - Key generation ID
+ * @returns {Object} { business, key, metaResponse }
+ */
+const uploadBusinessKey = async (businessId, keyId) => {
+  try {
+    const business = await Business.findOne({ id: businessId });
+    if (!business) {
+      throw new Error("Business not found");
+    }
+
+    const key = findBusinessKey(business, keyId);
+    if (key.status === "retired") {
+      throw new Error("Retired keys cannot be uploaded");
+    }
+
+    if (!business.phone_number_id || !business.access_token) {
+      throw new Error("Business needs access_token and phone_number_id");
+    }
+
+    const metaResponse = await postPublicKeyToMeta(
+      business.phone_number_id,
+      business.access_token,
+      key.public_key
+    );
+
+    key.uploaded_at = new Date();
+    if (key.status === "active") {
+      mirrorActiveKey(business, key);
+    } else {
+      // Meta now encrypts with the pending key, not the active one
+      business.public_key_uploaded = false;
+    }
+
+    await business.save();
+    return { business, key: toSafeKey(key), metaResponse };
+  } catch (error) {
+    console.error("Error uploading business key:", error);
+    throw error;
+  }
+};
+
+/**
+ * Make a pending key the active key (step 3 of rotation)
+ * The previously active key is retired but still accepted for the grace window.
+ * @param {string} businessId - Business ID
+ * @param {string} keyId - Pending key generation ID
+ * @returns {Object} { business, key }
+ */
+const promoteBusinessKey = async (businessId, keyId) => {
+  try {
+    const business = await Business.findOne({ id: businessId });
+    if (!business) {
+      throw new Error("Business not found");
+    }
+
+    const key = findBusinessKey(business, keyId);
+    if (key.status !== "pending") {
+      throw new Error("Only pending keys can be promoted");
+    }
+    if (!key.uploaded_at) {
+      throw new Error("Key must be uploaded to Meta before it is promoted");
+    }
+
+    const now = new Date();
+    for (const candidate of business.keys) {
+      if (candidate.status === "active") {
+        candidate.status = "retired";
+        candidate.retired_at = now;
+      }
+    }
+
+    key.status = "active";
+    key.activated_at = now;
+    mirrorActiveKey(business, key);
+
+    await business.save();
+    console.log(`✅ Promoted key ${keyId} for business ${businessId}`);
+
+    return { business, key: toSafeKey(key) };
+  } catch (error) {
+    console.error("Error promoting business key:", error);
+    throw error;
+  }
+};
+
+/**
+ * Retire a pending or previously active key (step 4 of rotation)
+ * @param {string} businessId - Business ID
+ * @param {string} keyId - Key generation ID
+ * @returns {Object} { business, key }
+ */
+const retireBusinessKey = async (businessId, keyId) => {
+  try {
+    const business = await Business.findOne({ id: businessId });
+    if (!business) {
+      throw new Error("Business not found");
+    }
+
+    const key = findBusinessKey(business, keyId);
+    if (key.status === "active") {
+      throw new Error("The active key cannot be retired - promote another key");
+    }
+
+    if (key.status !== "retired") {
+      key.status = "retired";
+      key.retired_at = new Date();
+      await business.save();
+    }
+
+    return { business, key: toSafeKey(key) };
+  } catch (error) {
+    console.error("Error retiring business key:", error);
+    throw error;
+  }
+};
+
+/**
+ * List a business's key generations (without private material)
+ * @param {string} businessId - Business ID
+ * @returns {Array} Key generations
+ */
+const listBusinessKeys = async (businessId) => {
+  try {
+    const business = await Business.findOne({ id: businessId });
+    if (!business) {
+      throw new Error("Business not found");
+    }
+
+    ensureKeyHistory(business);
+    return business.keys.map(toSafeKey);
+  } catch (error) {
+    console.error("Error listing business keys:", error);
+    throw error;
+  }
+};
+
+/**
+ * Keys to try when decrypting a request, in order: active, uploaded
+ * pending keys, then keys retired within the grace window
+ * @param {Object} business - Business document
+ * @returns {Array} Keys with id, status, private_key and private_key_passphrase
+ */
+const getDecryptionKeys = (business) => {
+  if (!business.keys || business.keys.length === 0) {
+    return business.private_key
+      ? [
+          {
+            id: "legacy",
+            status: "active",
+            private_key: business.private_key,
+            private_key_passphrase: business.private_key_passphrase,
+          },
+        ]
+      : [];
+  }
+
+  const graceStart = Date.now() - KEY_ROTATION_GRACE_HOURS * 60 * 60 * 1000;
+
+  const active = business.keys.filter((key) => key.status === "active");
+  const pending = business.keys.filter(
+    (key) => key.status === "pending" && key.uploaded_at
+  );
+  const retired = business.keys
+    .filter(
+      (key) =>
+        key.status === "retired" &&
+        key.retired_at &&
+        key.retired_at.getTime() >= graceStart
+    )
+    .sort((a, b) => b.retired_at - a.retired_at);
+
+  return [...active, ...pending, ...retired];
+};
+
+/**
+ * Find the business whose public key matches a fingerprint
+ * @param {string} fingerprint - Hex SHA-256 public key fingerprint
+ * @returns {Object|null} Business document
+ */
+const findBusinessByKeyFingerprint = async (fingerprint) => {
+  try {
+    const normalized = fingerprint.toLowerCase();
+    return await Business.findOne({
+      $or: [
+        { public_key_fingerprint: normalized },
+        { "keys.fingerprint": normalized },
+      ],
+    });
+  } catch (error) {
+    console.error("Error finding business by key fingerprint:", error);
+    throw error;
+  }
+};
+
+/**
+ * Resolve the business behind a per-tenant data endpoint URL
+ * The identifier is matched as a business ID, then a flow ID, then a key fingerprint
+ * @param {string} endpointId - Identifier from /data-endpoint/:endpointId
+ * @returns {Object|null} { business, flow } or null if nothing matches
+ */
+const resolveEndpointBusiness = async (endpointId) => {
+  try {
+    const business = await Business.findOne({ id: endpointId });
+    if (business) {
+      return { business, flow: null };
+    }
+
+    const flow = await Flow.findOne({ id: endpointId });
+    if (flow) {
+      const flowBusiness = await Business.findOne({ id: flow.business_id });
+      return flowBusiness ? { business: flowBusiness, flow } : null;
+    }
+
+    if (/^[a-f0-9]{64}$/i.test(endpointId)) {
+      const keyBusiness = await findBusinessByKeyFingerprint(endpointId);
+      return keyBusiness ? { business: keyBusiness, flow: null } : null;
+    }
+
+    return null;
+  } catch (error) {
+    console.error("Error resolving endpoint business:", error);
     throw error;
   }
 };
@@ -278,7 +712,7 @@ const regenerateBusinessKeys = async (businessId) => {
 const listBusinesses = async (filters = {}) => {
   try {
     const businesses = await Business.find(filters).select(
-      "-private_key -access_token -app_secret"
+      "-private_key -private_key_passphrase -access_token -app_secret -keys.private_key -keys.private_key_passphrase"
     );
     return businesses;
   } catch (error) {
@@ -308,7 +742,9 @@ const deleteBusiness = async (businessId) => {
 
 module.exports = {
   createBusiness,
+  postPublicKeyToMeta,
   uploadPublicKeyToMeta,
+  checkEncryptionStatus,
   getBusiness,
   getBusinessWithCredentials,
   updateWhatsAppConfig,
@@ -317,4 +753,13 @@ module.exports = {
   listBusinesses,
   deleteBusiness,
   regenerateBusinessKeys,
+  generatePendingKey,
+  uploadBusinessKey,
+  promoteBusinessKey,
+  retireBusinessKey,
+  listBusinessKeys,
+  getDecryptionKeys,
+  findBusinessByKeyFingerprint,
+  toSafeKey,
+  resolveEndpointBusiness,
 };
@@ -0,0 +1,242 @@
+const crypto = require("crypto");
+const DataSourceCacheEntry = require("../models/DataSourceCacheEntry");
+
+const DEFAULT_FALLBACK_TTL_SECONDS = 24 * 60 * 60;
+const MAX_MEMORY_ENTRIES = parseInt(
+  process.env.DATA_SOURCE_CACHE_MAX_ENTRIES || "1000"
+);
+
+/**
+ * In-memory backend - per process, lost on restart
+ */
+const createMemoryBackend = () => {
+  const entries = new Map();
+
+  return {
+    name: "memory",
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) {
+        return null;
+      }
+      if (entry.expires_at <= new Date()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry;
+    },
+    set: async (key, entry) => {
+      // Re-insert so iteration order tracks recency
+      entries.delete(key);
+      entries.set(key, entry);
+
+      while (entries.size > MAX_MEMORY_ENTRIES) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    deleteWhere: async ({ flow_id, screen_id }) => {
+      let deleted = 0;
+      for (const [key, entry] of entries) {
+        if (
+          entry.flow_id === flow_id &&
+          (!screen_id || entry.screen_id === screen_id)
+        ) {
+          entries.delete(key);
+          deleted++;
+        }
+      }
+      return deleted;
+    },
+  };
+};
+
+/**
+ * Mongo backend - shared by every server instance
+ */
+const createMongoBackend = () => ({
+  name: "mongo",
+  get: async (key) => {
+    const entry = await DataSourceCacheEntry.findOne({
+      key,
+      expires_at: { $gt: new Date() },
+    }).lean();
+    return entry ? { ...entry, value: JSON.parse(entry.value) } : null;
+  },
+  set: async (key, entry) => {
+    await DataSourceCacheEntry.findOneAndUpdate(
+      { key },
+      { ...entry, key, value: JSON.stringify(entry.value) },
+      { upsert: true }
+    );
+  },
+  deleteWhere: async ({ flow_id, screen_id }) => {
+    const query = { flow_id };
+    if (screen_id) {
+      query.screen_id = screen_id;
+    }
+    const result = await DataSourceCacheEntry.deleteMany(query);
+    return result.deletedCount;
+  },
+});
+
+const backend =
+  process.env.DATA_SOURCE_CACHE_BACKEND === "mongo"
+    ? createMongoBackend()
+    : createMemoryBackend();
+
+// Background refreshes in progress, so a stale key is only refetched once
+const pendingRefreshes = new Map();
+
+/**
+ * Build the cache key for a resolved data source request
+ * @param {Object} scope - Request scope with business_id, flow_id and screen
+ * @param {Object} request - Resolved HTTP request
+ * @returns {string} Cache key
+ */
+const buildCacheKey = (scope, request) => {
+  const requestHash = crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify([
+        request.method,
+        request.url,
+        request.params,
+        request.data,
+        request.headers,
+      ])
+    )
+    .digest("hex");
+
+  return [
+    scope.business_id || "-",
+    scope.flow_id,
+    scope.screen,
+    requestHash,
+  ].join(":");
+};
+
+const buildEntry = (scope, value, cacheConfig) => {
+  const now = Date.now();
+  const ttlMs = Number(cacheConfig.ttl_seconds) * 1000;
+  const staleMs =
+    Number(cacheConfig.stale_while_revalidate_seconds || 0) * 1000;
+  const fallbackMs =
+    Number(cacheConfig.fallback_ttl_seconds || DEFAULT_FALLBACK_TTL_SECONDS) *
+    1000;
+
+  return {
+    business_id: scope.business_id,
+    flow_id: scope.flow_id,
+    screen_id: scope.screen,
+    value,
+    stored_at: new Date(now),
+    fresh_until: new Date(now + ttlMs),
+    stale_until: new Date(now + ttlMs + staleMs),
+    expires_at: new Date(now + ttlMs + Math.max(staleMs, fallbackMs)),
+  };
+};
+
+const fetchAndStore = async ({ key, scope, cacheConfig, fetcher }) => {
+  const value = await fetcher();
+  await backend.set(key, buildEntry(scope, value, cacheConfig));
+  return value;
+};
+
+const refreshInBackground = (params) => {
+  if (pendingRefreshes.has(params.key)) {
+    return;
+  }
+
+  const refresh = fetchAndStore(params)
+    .catch((error) => {
+      console.error(
+        `❌ Background refresh failed for ${params.key}:`,
+        error.message
+      );
+    })
+    .finally(() => pendingRefreshes.delete(params.key));
+
+  pendingRefreshes.set(params.key, refresh);
+};
+
+/**
+ * Serve a data source through the cache
+ * @param {Object} params
+ * @param {Object} params.scope - Request scope (business_id, flow_id, screen)
+ * @param {Object} params.request - Resolved HTTP request (used for the key)
+ * @param {Object} params.cacheConfig - { ttl_seconds, stale_while_revalidate_seconds,
+ *   fallback_on_error, fallback_ttl_seconds }
+ * @param {Function} params.fetcher - Loads a fresh value from the upstream API
+ * @returns {*} Cached or fresh value
+ */
+const getCachedDataSource = async ({
+  scope,
+  request,
+  cacheConfig,
+  fetcher,
+}) => {
+  if (!cacheConfig || !(Number(cacheConfig.ttl_seconds) > 0)) {
+    return await fetcher();
+  }
+
+  const key = buildCacheKey(scope, request);
+  const entry = await backend.get(key);
+  const now = new Date();
+
+  if (entry && entry.fresh_until > now) {
+    console.log(`⚡ Data source cache hit: ${key}`);
+    return entry.value;
+  }
+
+  if (entry && entry.stale_until > now) {
+    console.log(`⚡ Serving stale data source while revalidating: ${key}`);
+    refreshInBackground({ key, scope, cacheConfig, fetcher });
+    return entry.value;
+  }
+
+  try {
+    return await fetchAndStore({ key, scope, cacheConfig, fetcher });
+  } catch (error) {
+    if (entry && cacheConfig.fallback_on_error !== false) {
+      console.warn(
+        `⚠️ Upstream failed, serving last good response for ${key}:`,
+        error.message
+      );
+      return entry.value;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Drop cached data for a flow screen (or every screen of the flow)
+ * @param {Object} params
+ * @param {string} params.flowId - Flow ID
+ * @param {string} params.screenId - Screen ID (optional)
+ * @returns {number} Number of entries removed
+ */
+const invalidateDataSourceCache = async ({ flowId, screenId }) => {
+  try {
+    const deleted = await backend.deleteWhere({
+      flow_id: flowId,
+      screen_id: screenId,
+    });
+    console.log(
+      `🧹 Invalidated ${deleted} cached data source entries for ${flowId}/${
+        screenId || "*"
+      }`
+    );
+    return deleted;
+  } catch (error) {
+    console.error("Error invalidating data source cache:", error);
+    throw error;
+  }
+};
+
+module.exports = {
+  getCachedDataSource,
+  invalidateDataSourceCache,
+  buildCacheKey,
+  createMemoryBackend,
+  createMongoBackend,
+};
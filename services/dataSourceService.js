@@ -0,0 +1,213 @@
+const axios = require("axios");
+const FlowData = require("../models/FlowData");
+const { getValueAtPath, interpolate } = require("../utils/template");
+const { mapResponseItems, validateMappingConfig } = require("./responseMapper");
+const { getCachedDataSource } = require("./dataSourceCache");
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_TARGET_KEY = "data_source";
+const ALLOWED_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+
+/**
+ * Validate a screen data source configuration
+ * @param {Object} config - Data source configuration
+ * @returns {Array} List of validation error messages (empty if valid)
+ */
+const validateDataSourceConfig = (config) => {
+  const errors = [];
+
+  if (!config || typeof config !== "object") {
+    return ["Data source configuration must be an object"];
+  }
+
+  if (!config.url || typeof config.url !== "string") {
+    errors.push("url is required");
+  }
+
+  if (
+    config.method &&
+    !ALLOWED_METHODS.includes(String(config.method).toUpperCase())
+  ) {
+    errors.push(`method must be one of ${ALLOWED_METHODS.join(", ")}`);
+  }
+
+  if (
+    config.timeout_ms !== undefined &&
+    !(Number(config.timeout_ms) > 0 && Number(config.timeout_ms) <= 10000)
+  ) {
+    errors.push("timeout_ms must be between 1 and 10000");
+  }
+
+  for (const key of ["headers", "query"]) {
+    if (config[key] !== undefined && typeof config[key] !== "object") {
+      errors.push(`${key} must be an object`);
+    }
+  }
+
+  if (config.cache !== undefined) {
+    if (typeof config.cache !== "object" || config.cache === null) {
+      errors.push("cache must be an object");
+    } else {
+      for (const key of [
+        "ttl_seconds",
+        "stale_while_revalidate_seconds",
+        "fallback_ttl_seconds",
+      ]) {
+        if (
+          config.cache[key] !== undefined &&
+          !(Number(config.cache[key]) >= 0)
+        ) {
+          errors.push(`cache.${key} must be a non-negative number`);
+        }
+      }
+    }
+  }
+
+  errors.push(...validateMappingConfig(config.mapping));
+
+  return errors;
+};
+
+/**
+ * Load the data source configuration stored for a screen
+ * @param {Object} params
+ * @param {string} params.businessId - Business ID (optional for legacy flows)
+ * @param {string} params.flowId - Flow ID
+ * @param {string} params.screenId - Screen ID
+ * @returns {Object|null} Parsed configuration
+ */
+const getDataSourceConfig = async ({ businessId, flowId, screenId }) => {
+  try {
+    const query = {
+      flow_id: flowId,
+      screen_id: screenId,
+      field_name: "api_config",
+    };
+    if (businessId) {
+      query.business_id = businessId;
+    }
+
+    const flowData = await FlowData.findOne(query);
+    if (!flowData || !flowData.api_config) {
+      return null;
+    }
+
+    return JSON.parse(flowData.api_config);
+  } catch (error) {
+    console.error("Error loading data source config:", error);
+    throw error;
+  }
+};
+
+/**
+ * Resolve a configuration into a concrete HTTP request
+ * @param {Object} config - Data source configuration
+ * @param {Object} scope - Values for placeholders (payload, session, flow_token, ...)
+ * @returns {Object} { method, url, headers, params, data, timeout }
+ */
+const buildDataSourceRequest = (config, scope) => {
+  const method = String(config.method || "GET").toUpperCase();
+
+  return {
+    method,
+    url: interpolate(config.url, scope, { encode: true }),
+    headers: {
+      "Content-Type": "application/json",
+      ...interpolate(config.headers || {}, scope),
+    },
+    params: interpolate(config.query || {}, scope),
+    data: method === "GET" ? undefined : interpolate(config.body, scope),
+    timeout: Number(config.timeout_ms) || DEFAULT_TIMEOUT_MS,
+  };
+};
+
+/**
+ * Pick the items out of an API response
+ * Uses response_path when configured, otherwise common envelope shapes
+ * @param {*} responseData - Parsed response body
+ * @param {string} responsePath - Optional dot path to the items
+ * @returns {Array} Items
+ */
+const selectResponseItems = (responseData, responsePath) => {
+  const selected = responsePath
+    ? getValueAtPath(responseData, responsePath)
+    : responseData;
+
+  if (selected === undefined || selected === null) {
+    return [];
+  }
+
+  if (Array.isArray(selected)) {
+    return selected;
+  }
+
+  if (!responsePath) {
+    if (Array.isArray(selected.data)) {
+      return selected.data;
+    }
+    if (Array.isArray(selected.items)) {
+      return selected.items;
+    }
+  }
+
+  // If it's a single object, wrap it in an array
+  return [selected];
+};
+
+/**
+ * Execute a resolved data source request
+ * @param {Object} request - Output of buildDataSourceRequest
+ * @param {Object} config - Data source configuration
+ * @returns {Array|Object} Items selected from the response, shaped by config.mapping
+ */
+const executeDataSourceRequest = async (request, config) => {
+  console.log(`🌐 Fetching data source: ${request.method} ${request.url}`);
+
+  const response = await axios.request(request);
+  console.log(`✅ Data source responded with status ${response.status}`);
+
+  const items = selectResponseItems(response.data, config.response_path);
+  return mapResponseItems(items, config.mapping || {});
+};
+
+// EmbeddedLink data is an object, every other component takes a list
+const emptyValueFor = (config) =>
+  config.mapping && config.mapping.component === "EmbeddedLink" ? {} : [];
+
+/**
+ * Fetch the data for one screen from its configured data source
+ * @param {Object} params
+ * @param {Object} params.config - Data source configuration
+ * @param {Object} params.scope - Values for placeholders
+ * @returns {Object} Screen data keyed by the configured target key
+ */
+const fetchDataSource = async ({ config, scope }) => {
+  const targetKey = config.target_key || DEFAULT_TARGET_KEY;
+
+  try {
+    const request = buildDataSourceRequest(config, scope);
+    const items = await getCachedDataSource({
+      scope,
+      request,
+      cacheConfig: config.cache,
+      fetcher: () => executeDataSourceRequest(request, config),
+    });
+    return { [targetKey]: items };
+  } catch (error) {
+    console.error(
+      `❌ Data source request failed: ${error.message}`,
+      error.response ? { status: error.response.status } : ""
+    );
+    return { [targetKey]: emptyValueFor(config) };
+  }
+};
+
+module.exports = {
+  DEFAULT_TARGET_KEY,
+  validateDataSourceConfig,
+  getDataSourceConfig,
+  buildDataSourceRequest,
+  selectResponseItems,
+  executeDataSourceRequest,
+  fetchDataSource,
+};
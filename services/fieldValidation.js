@@ -0,0 +1,369 @@
+const axios = require("axios");
+const { getValueAtPath } = require("../utils/template");
+const {
+  validateDataSourceConfig,
+  buildDataSourceRequest,
+} = require("./dataSourceService");
+
+const DEFAULT_ERROR_MESSAGE = "Please correct the highlighted fields";
+const REMOTE_UNAVAILABLE_MESSAGE =
+  "We could not check your answers right now, please try again";
+const RELATIVE_DATE = /^([+-]\d+)([dmy])$/;
+const COMPARE_WORDS = {
+  eq: "equal to",
+  neq: "different from",
+  gt: "after",
+  gte: "at least",
+  lt: "before",
+  lte: "at most",
+};
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Resolve a min_date/max_date bound
+ * @param {string} bound - ISO date, "today", or an offset like "-18y"
+ * @returns {Date|null} Bound, or null when it cannot be read
+ */
+const resolveDateBound = (bound) => {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+
+  if (bound === "today") {
+    return today;
+  }
+
+  const relative = String(bound).match(RELATIVE_DATE);
+  if (relative) {
+    const amount = parseInt(relative[1]);
+    if (relative[2] === "d") {
+      today.setUTCDate(today.getUTCDate() + amount);
+    } else if (relative[2] === "m") {
+      today.setUTCMonth(today.getUTCMonth() + amount);
+    } else {
+      today.setUTCFullYear(today.getUTCFullYear() + amount);
+    }
+    return today;
+  }
+
+  const date = new Date(bound);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// DatePicker values arrive as ISO dates or epoch milliseconds
+const toDate = (value) => {
+  const date = new Date(
+    typeof value === "string" && /^\d{10,}$/.test(value) ? Number(value) : value
+  );
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Numbers and dates compare by value, anything else as text
+const toComparable = (value) => {
+  if (typeof value === "number") {
+    return value;
+  }
+  if (typeof value === "string" && value.trim() !== "" && !isNaN(value)) {
+    return Number(value);
+  }
+  if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    return new Date(value).getTime();
+  }
+  return value;
+};
+
+const compareValues = (operator, actual, expected) => {
+  const a = toComparable(actual);
+  const b = toComparable(expected);
+
+  switch (operator) {
+    case "eq":
+      return a === b;
+    case "neq":
+      return a !== b;
+    case "gt":
+      return a > b;
+    case "gte":
+      return a >= b;
+    case "lt":
+      return a < b;
+    case "lte":
+      return a <= b;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Check one field against its rules
+ * @param {Object} rule - Field validation rule
+ * @param {Object} payload - Submitted values
+ * @returns {string|null} Error message, or null when the value passes
+ */
+const validateField = (rule, payload) => {
+  const value = getValueAtPath(payload, rule.field);
+  const label = rule.label || rule.field;
+  const fail = (message) => rule.message || message;
+
+  if (isEmpty(value)) {
+    return rule.required ? fail(`${label} is required`) : null;
+  }
+
+  if (rule.pattern) {
+    const pattern = new RegExp(rule.pattern, rule.pattern_flags || "");
+    if (!pattern.test(String(value))) {
+      return fail(`${label} is not valid`);
+    }
+  }
+
+  if (rule.min !== undefined && rule.min !== null) {
+    if (!(Number(value) >= rule.min)) {
+      return fail(`${label} must be at least ${rule.min}`);
+    }
+  }
+  if (rule.max !== undefined && rule.max !== null) {
+    if (!(Number(value) <= rule.max)) {
+      return fail(`${label} must be at most ${rule.max}`);
+    }
+  }
+
+  // Lists count selected items, anything else its characters
+  const length = Array.isArray(value) ? value.length : String(value).length;
+  const unit = Array.isArray(value) ? "items" : "characters";
+  if (
+    rule.min_length !== undefined &&
+    rule.min_length !== null &&
+    length < rule.min_length
+  ) {
+    return fail(`${label} must have at least ${rule.min_length} ${unit}`);
+  }
+  if (
+    rule.max_length !== undefined &&
+    rule.max_length !== null &&
+    length > rule.max_length
+  ) {
+    return fail(`${label} must have at most ${rule.max_length} ${unit}`);
+  }
+
+  if (Array.isArray(rule.enum) && rule.enum.length > 0) {
+    const values = Array.isArray(value) ? value : [value];
+    if (!values.every((item) => rule.enum.includes(item))) {
+      return fail(`${label} is not an allowed value`);
+    }
+  }
+
+  if (rule.min_date || rule.max_date) {
+    const date = toDate(value);
+    if (!date) {
+      return fail(`${label} must be a date`);
+    }
+
+    const minDate = rule.min_date && resolveDateBound(rule.min_date);
+    if (minDate && date < minDate) {
+      return fail(
+        `${label} must be on or after ${minDate.toISOString().slice(0, 10)}`
+      );
+    }
+    const maxDate = rule.max_date && resolveDateBound(rule.max_date);
+    if (maxDate && date > maxDate) {
+      return fail(
+        `${label} must be on or before ${maxDate.toISOString().slice(0, 10)}`
+      );
+    }
+  }
+
+  if (rule.compare) {
+    const other = getValueAtPath(payload, rule.compare.field);
+    if (
+      !isEmpty(other) &&
+      !compareValues(rule.compare.operator, value, other)
+    ) {
+      return fail(
+        `${label} must be ${COMPARE_WORDS[rule.compare.operator]} ${
+          rule.compare.field
+        }`
+      );
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check a submission against field rules
+ * @param {Array} rules - Field validation rules of the screen
+ * @param {Object} payload - Submitted values
+ * @returns {Object} Field -> error message; empty when everything passes
+ */
+const validateFields = (rules, payload = {}) => {
+  const fieldErrors = {};
+  for (const rule of rules || []) {
+    // First failing rule per field wins
+    if (fieldErrors[rule.field]) {
+      continue;
+    }
+    const error = validateField(rule, payload);
+    if (error) {
+      fieldErrors[rule.field] = error;
+    }
+  }
+  return fieldErrors;
+};
+
+// Remote checks answer { errors: { field: message } | [{ field, message }], error_message }
+const readRemoteErrors = (responseData, config) => {
+  const errors = getValueAtPath(responseData, config.errors_path || "errors");
+  const fieldErrors = {};
+
+  if (Array.isArray(errors)) {
+    for (const error of errors) {
+      if (error && error.field) {
+        fieldErrors[error.field] = error.message || "Not valid";
+      }
+    }
+  } else if (errors && typeof errors === "object") {
+    Object.assign(fieldErrors, errors);
+  }
+
+  return {
+    fieldErrors,
+    errorMessage: getValueAtPath(
+      responseData,
+      config.message_path || "error_message"
+    ),
+  };
+};
+
+// Statuses that answer the validation question; 400 and 422 bodies carry
+// the errors, anything else means the validator itself is broken
+const isValidationAnswer = (status) =>
+  (status >= 200 && status < 300) || status === 400 || status === 422;
+
+/**
+ * Ask the configured API whether a submission is acceptable
+ * An unreachable or failing API lets the submission through unless
+ * fail_closed is set.
+ * @param {Object} config - Remote validation configuration
+ * @param {Object} scope - Values for placeholders (payload, session, ...)
+ * @returns {Object} { fieldErrors, errorMessage }
+ */
+const runRemoteValidation = async (config, scope) => {
+  const request = buildDataSourceRequest(config, scope);
+  console.log(`🌐 Remote validation: ${request.method} ${request.url}`);
+
+  let response;
+  try {
+    response = await axios.request({
+      ...request,
+      validateStatus: isValidationAnswer,
+    });
+  } catch (error) {
+    console.error(`❌ Remote validation failed: ${error.message}`);
+    return config.fail_closed
+      ? { fieldErrors: {}, errorMessage: REMOTE_UNAVAILABLE_MESSAGE }
+      : { fieldErrors: {} };
+  }
+
+  return readRemoteErrors(response.data, config);
+};
+
+/**
+ * Validate a screen submission with the screen's rules and remote check
+ * @param {Object} params
+ * @param {Object} params.screen - Screen definition
+ * @param {Object} params.payload - Submitted values
+ * @param {Object} params.scope - Placeholder values for the remote check
+ * @returns {Object|null} { error_message, field_errors }, or null when valid
+ */
+const validateSubmission = async ({ screen, payload, scope }) => {
+  if (!screen) {
+    return null;
+  }
+
+  let fieldErrors = validateFields(screen.validations, payload);
+  let errorMessage;
+
+  // The remote check only sees submissions that pass the local rules
+  if (Object.keys(fieldErrors).length === 0 && screen.remote_validation) {
+    const remote = await runRemoteValidation(screen.remote_validation, scope);
+    fieldErrors = remote.fieldErrors;
+    errorMessage = remote.errorMessage;
+  }
+
+  if (Object.keys(fieldErrors).length === 0 && !errorMessage) {
+    return null;
+  }
+
+  const messages = Object.values(fieldErrors);
+  return {
+    error_message:
+      errorMessage ||
+      (messages.length === 1 ? messages[0] : DEFAULT_ERROR_MESSAGE),
+    field_errors: fieldErrors,
+  };
+};
+
+/**
+ * Check a screen's validation configuration before it is saved
+ * @param {Object} screen - Screen definition with validations / remote_validation
+ * @returns {Array} List of validation error messages (empty if valid)
+ */
+const validateValidationConfig = (screen) => {
+  const errors = [];
+  const prefix = `Screen ${screen.id}`;
+
+  for (const rule of screen.validations || []) {
+    if (!rule || !rule.field) {
+      errors.push(`${prefix}: every validation needs a field`);
+      continue;
+    }
+
+    if (rule.pattern) {
+      try {
+        new RegExp(rule.pattern, rule.pattern_flags || "");
+      } catch (error) {
+        errors.push(`${prefix}: invalid pattern for ${rule.field}`);
+      }
+    }
+
+    for (const key of ["min_date", "max_date"]) {
+      if (rule[key] && !resolveDateBound(rule[key])) {
+        errors.push(`${prefix}: ${key} of ${rule.field} is not a date`);
+      }
+    }
+
+    if (
+      rule.compare &&
+      (!rule.compare.field || !COMPARE_WORDS[rule.compare.operator])
+    ) {
+      errors.push(
+        `${prefix}: compare of ${
+          rule.field
+        } needs a field and an operator (${Object.keys(COMPARE_WORDS).join(
+          ", "
+        )})`
+      );
+    }
+  }
+
+  if (screen.remote_validation) {
+    errors.push(
+      ...validateDataSourceConfig(screen.remote_validation).map(
+        (error) => `${prefix}: remote_validation ${error}`
+      )
+    );
+  }
+
+  return errors;
+};
+
+module.exports = {
+  validateFields,
+  validateSubmission,
+  validateValidationConfig,
+  resolveDateBound,
+};
@@ -0,0 +1,300 @@
+const Flow = require("../models/Flow");
+const { getValueAtPath } = require("../utils/template");
+const { InvalidFlowRequestException } = require("../utils/flowErrors");
+
+const SUCCESS_SCREEN = "SUCCESS";
+
+/**
+ * Convert a Meta Flow JSON document into screen definitions
+ * @param {Object|string} flowJson - Meta Flow JSON (object or string)
+ * @param {Object} transitions - Optional conditional transitions keyed by screen ID
+ * @returns {Object} { initial_screen, screens }
+ */
+const parseMetaFlowJson = (flowJson, transitions = {}) => {
+  const definition =
+    typeof flowJson === "string" ? JSON.parse(flowJson) : flowJson;
+
+  if (!definition || !Array.isArray(definition.screens)) {
+    throw new Error("Flow JSON must contain a screens array");
+  }
+
+  const routingModel = definition.routing_model || {};
+  const routedTo = new Set(Object.values(routingModel).flat());
+
+  const screens = definition.screens.map((screen) => {
+    // Explicit transitions win over the unconditional routing model edges
+    const screenTransitions =
+      transitions[screen.id] ||
+      (routingModel[screen.id] || []).map((to) => ({ to, conditions: [] }));
+
+    return {
+      id: screen.id,
+      title: screen.title,
+      terminal: !!screen.terminal,
+      data_keys: Object.keys(screen.data || {}),
+      transitions: screenTransitions,
+    };
+  });
+
+  // The entry screen is the one no other screen routes to
+  const entryScreen =
+    screens.find((screen) => !routedTo.has(screen.id)) || screens[0];
+
+  return {
+    initial_screen: entryScreen ? entryScreen.id : undefined,
+    screens,
+  };
+};
+
+/**
+ * Check that every transition points at a defined screen
+ * @param {Array} screens - Screen definitions
+ * @param {string} initialScreen - Entry screen ID
+ * @returns {Array} List of validation error messages (empty if valid)
+ */
+const validateScreens = (screens, initialScreen) => {
+  const errors = [];
+  const screenIds = new Set(screens.map((screen) => screen.id));
+
+  if (initialScreen && !screenIds.has(initialScreen)) {
+    errors.push(`Initial screen ${initialScreen} is not defined`);
+  }
+
+  for (const screen of screens) {
+    for (const transition of screen.transitions || []) {
+      if (transition.to !== SUCCESS_SCREEN && !screenIds.has(transition.to)) {
+        errors.push(
+          `Screen ${screen.id} routes to undefined screen ${transition.to}`
+        );
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Resolve the Flow record a request belongs to
+ * @param {Object} params
+ * @param {Object} params.flow - Flow already resolved from the endpoint URL
+ * @param {Object} params.business - Business resolved from the decrypting key
+ * @param {string} params.flowId - Flow ID to look up otherwise
+ * @returns {Object|null} Flow document
+ */
+const resolveFlow = async ({ flow, business, flowId }) => {
+  if (flow) {
+    return flow;
+  }
+
+  if (!flowId) {
+    return null;
+  }
+
+  const query = { id: flowId };
+  if (business) {
+    query.business_id = business.id;
+  }
+
+  return await Flow.findOne(query);
+};
+
+const hasScreenDefinitions = (flow) =>
+  !!(flow && Array.isArray(flow.screens) && flow.screens.length > 0);
+
+const getScreenDefinition = (flow, screenId) =>
+  hasScreenDefinitions(flow)
+    ? flow.screens.find((screen) => screen.id === screenId) || null
+    : null;
+
+const getInitialScreen = (flow) =>
+  flow.initial_screen || (flow.screens[0] && flow.screens[0].id);
+
+/**
+ * Evaluate a single condition against the payload
+ * @param {Object} condition - { field, operator, value }; field may be a dot path
+ * @param {Object} payload - Submitted screen payload
+ * @returns {boolean} True if the condition holds
+ */
+const evaluateCondition = (condition, payload = {}) => {
+  const actual = getValueAtPath(payload, condition.field);
+  const expected = condition.value;
+
+  switch (condition.operator || "eq") {
+    case "eq":
+      return actual == expected;
+    case "neq":
+      return actual != expected;
+    case "in":
+      return Array.isArray(expected) && expected.includes(actual);
+    case "nin":
+      return Array.isArray(expected) && !expected.includes(actual);
+    case "gt":
+      return Number(actual) > Number(expected);
+    case "gte":
+      return Number(actual) >= Number(expected);
+    case "lt":
+      return Number(actual) < Number(expected);
+    case "lte":
+      return Number(actual) <= Number(expected);
+    case "exists":
+      return actual !== undefined && actual !== null && actual !== "";
+    case "not_exists":
+      return actual === undefined || actual === null || actual === "";
+    case "truthy":
+      return !!actual;
+    case "falsy":
+      return !actual;
+    default:
+      console.warn(`⚠️ Unknown condition operator: ${condition.operator}`);
+      return false;
+  }
+};
+
+/**
+ * Pick the next screen from the routing graph
+ * @param {Object} flow - Flow with screen definitions
+ * @param {string} screenId - Screen the payload was submitted from
+ * @param {Object} payload - Submitted screen payload
+ * @returns {string|null} Next screen ID, or null when the flow should complete
+ * @throws {InvalidFlowRequestException} 400 when the flow has no such screen
+ */
+const resolveNextScreen = (flow, screenId, payload) => {
+  const screen = getScreenDefinition(flow, screenId);
+  // An unknown screen must not be mistaken for the end of the flow
+  if (!screen) {
+    throw new InvalidFlowRequestException(
+      `Screen ${screenId} is not defined for flow ${flow.id}`
+    );
+  }
+
+  if (screen.terminal) {
+    return null;
+  }
+
+  const transition = (screen.transitions || []).find((candidate) =>
+    (candidate.conditions || []).every((condition) =>
+      evaluateCondition(condition, payload)
+    )
+  );
+
+  if (!transition || transition.to === SUCCESS_SCREEN) {
+    return null;
+  }
+
+  return transition.to;
+};
+
+/**
+ * Find the screen that routes to the given screen
+ * @param {Object} flow - Flow with screen definitions
+ * @param {string} screenId - Current screen ID
+ * @returns {string|null} Previous screen ID
+ */
+const resolvePreviousScreen = (flow, screenId) => {
+  const previous = flow.screens.find((screen) =>
+    (screen.transitions || []).some((transition) => transition.to === screenId)
+  );
+  return previous ? previous.id : null;
+};
+
+// Value types of Flow JSON input components
+const COMPONENT_VALUE_TYPES = {
+  DatePicker: "date",
+  CalendarPicker: "date",
+  CheckboxGroup: "array",
+  ChipsSelector: "array",
+  PhotoPicker: "media",
+  DocumentPicker: "media",
+  OptIn: "boolean",
+};
+
+const FORM_REFERENCE = /^\$\{form\.([\w-]+)\}$/;
+
+/**
+ * Walk a Flow JSON node, calling visit for every object in it
+ */
+const walkFlowJson = (node, visit) => {
+  if (Array.isArray(node)) {
+    node.forEach((child) => walkFlowJson(child, visit));
+  } else if (node && typeof node === "object") {
+    visit(node);
+    Object.values(node).forEach((child) => walkFlowJson(child, visit));
+  }
+};
+
+/**
+ * Value types of the fields a screen submits, read from the stored Flow JSON
+ * Payload keys bound to a form field (e.g. "dob": "${form.date_of_birth}")
+ * take the type of that field's component.
+ * @param {Object} flow - Flow document
+ * @param {string} screenId - Screen ID
+ * @returns {Object} Payload key -> "number", "date", "array", "media" or "boolean"
+ */
+const getScreenFieldTypes = (flow, screenId) => {
+  if (!flow || !flow.flow_json) {
+    return {};
+  }
+
+  let screen;
+  try {
+    const definition =
+      typeof flow.flow_json === "string"
+        ? JSON.parse(flow.flow_json)
+        : flow.flow_json;
+    screen = (definition.screens || []).find(
+      (candidate) => candidate.id === screenId
+    );
+  } catch (error) {
+    return {};
+  }
+
+  if (!screen) {
+    return {};
+  }
+
+  const componentTypes = {};
+  const payloadBindings = {};
+  walkFlowJson(screen.layout, (node) => {
+    if (node.name && typeof node.type === "string") {
+      const valueType =
+        node.type === "TextInput" && node["input-type"] === "number"
+          ? "number"
+          : COMPONENT_VALUE_TYPES[node.type];
+      if (valueType) {
+        componentTypes[node.name] = valueType;
+      }
+    }
+
+    if (node.payload && typeof node.payload === "object") {
+      for (const [key, expression] of Object.entries(node.payload)) {
+        const match =
+          typeof expression === "string" && expression.match(FORM_REFERENCE);
+        if (match) {
+          payloadBindings[key] = match[1];
+        }
+      }
+    }
+  });
+
+  const fieldTypes = { ...componentTypes };
+  for (const [key, fieldName] of Object.entries(payloadBindings)) {
+    if (componentTypes[fieldName]) {
+      fieldTypes[key] = componentTypes[fieldName];
+    }
+  }
+  return fieldTypes;
+};
+
+module.exports = {
+  SUCCESS_SCREEN,
+  parseMetaFlowJson,
+  validateScreens,
+  resolveFlow,
+  hasScreenDefinitions,
+  getScreenDefinition,
+  getInitialScreen,
+  evaluateCondition,
+  resolveNextScreen,
+  resolvePreviousScreen,
+  getScreenFieldTypes,
+};
@@ -0,0 +1,163 @@
+const { v4: uuidv4 } = require("uuid");
+const FlowErrorEvent = require("../models/FlowErrorEvent");
+const FlowSession = require("../models/FlowSession");
+const { resolveFlow } = require("./flowDefinition");
+const { parseFlowToken, isSignedFlowToken } = require("../utils/flowToken");
+const { incrementCounter } = require("../utils/metrics");
+
+const RETENTION_DAYS = parseFloat(
+  process.env.FLOW_ERROR_RETENTION_DAYS || "30"
+);
+
+/**
+ * Whether a request is an error notification rather than a data exchange
+ * Meta sends { action: "data_exchange" | "INIT", data: { error, error_message } }
+ * after a failure on the device.
+ * @param {string} action - Upper-cased action name
+ * @param {Object} data - Request payload
+ * @returns {boolean}
+ */
+const isErrorNotification = (action, data) =>
+  ["DATA_EXCHANGE", "INIT"].includes(action) &&
+  !!data &&
+  typeof data.error === "string";
+
+/**
+ * Store an error notification, linked to its business, flow and session
+ * @param {Object} params
+ * @param {string} params.action - Action the notification was sent with
+ * @param {string} params.screen - Screen on display
+ * @param {string} params.flow_token - Flow token of the request
+ * @param {string} params.session_id - Session ID, defaults to the flow token
+ * @param {Object} params.data - data object with error and error_message
+ * @param {Object} params.context - Resolved { business, flow } for the request
+ * @returns {Object} Created error event
+ */
+const recordFlowErrorEvent = async ({
+  action,
+  screen,
+  flow_token,
+  session_id,
+  data,
+  context = {},
+}) => {
+  try {
+    const sessionId = session_id || flow_token;
+    const business = context.business;
+    const session = sessionId
+      ? await FlowSession.findOne({ id: sessionId })
+      : null;
+
+    // Tokens and sessions of another business are not trusted for attribution;
+    // parseFlowToken drops signed tokens whose signature does not match
+    const token = parseFlowToken(flow_token);
+    const tokenMatches =
+      token && (!business || token.business_id === business.id);
+    const sessionMatches =
+      session && (!business || session.business_id === business.id);
+
+    // Legacy flows use the flow token as the flow ID; only a flow of the
+    // business counts, so made-up tokens stay unattributed
+    const legacyFlow =
+      !context.flow &&
+      !sessionMatches &&
+      business &&
+      flow_token &&
+      !isSignedFlowToken(flow_token) &&
+      process.env.REQUIRE_SIGNED_FLOW_TOKENS !== "true"
+        ? await resolveFlow({ business, flowId: flow_token })
+        : null;
+
+    const event = await FlowErrorEvent.create({
+      id: uuidv4(),
+      business_id: business
+        ? business.id
+        : session
+        ? session.business_id
+        : undefined,
+      flow_id: context.flow
+        ? context.flow.id
+        : sessionMatches
+        ? session.flow_id
+        : tokenMatches
+        ? token.flow_id
+        : legacyFlow
+        ? legacyFlow.id
+        : undefined,
+      session_id: sessionId,
+      user_id: sessionMatches
+        ? session.user_id
+        : tokenMatches
+        ? token.recipient
+        : undefined,
+      action,
+      screen,
+      error: data.error,
+      error_message: data.error_message,
+      data,
+      expires_at: new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000),
+    });
+
+    incrementCounter("flow_error_notifications_total", {
+      business_id: event.business_id || "-",
+      error: event.error,
+    });
+    console.warn(
+      `⚠️ Flow client error "${event.error}" on ${screen || "-"} for session ${
+        sessionId || "-"
+      }: ${event.error_message || ""}`
+    );
+    return event;
+  } catch (error) {
+    console.error("Error recording flow error event:", error);
+    throw error;
+  }
+};
+
+/**
+ * List error events of a flow, newest first
+ * @param {string} flowId - Flow ID
+ * @param {Object} filters - session_id, user_id, error, from, to (Dates),
+ *   limit, offset
+ * @returns {Array} Error events
+ */
+const listFlowErrorEvents = async (
+  flowId,
+  { session_id, user_id, error, from, to, limit = 100, offset = 0 } = {}
+) => {
+  try {
+    const query = { flow_id: flowId };
+    if (session_id) {
+      query.session_id = session_id;
+    }
+    if (user_id) {
+      query.user_id = user_id;
+    }
+    if (error) {
+      query.error = error;
+    }
+    if (from || to) {
+      query.created_at = {};
+      if (from) {
+        query.created_at.$gte = from;
+      }
+      if (to) {
+        query.created_at.$lte = to;
+      }
+    }
+
+    return await FlowErrorEvent.find(query)
+      .sort({ created_at: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(offset));
+  } catch (error) {
+    console.error("Error listing flow error events:", error);
+    throw error;
+  }
+};
+
+module.exports = {
+  isErrorNotification,
+  recordFlowErrorEvent,
+  listFlowErrorEvents,
+};
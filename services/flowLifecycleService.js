@@ -0,0 +1,242 @@
+const Flow = require("../models/Flow");
+const Business = require("../models/Business");
+const { createMetaGraphClient } = require("./metaGraphClient");
+
+const DEFAULT_CATEGORIES = ["OTHER"];
+
+/**
+ * Load a flow with its business and a Graph client for the business token
+ * @param {string} flowId - Flow ID
+ * @returns {Object} { flow, business, client }
+ */
+const loadFlowContext = async (flowId) => {
+  const flow = await Flow.findOne({ id: flowId });
+  if (!flow) {
+    throw new Error("Flow not found");
+  }
+
+  const business = await Business.findOne({ id: flow.business_id });
+  if (!business) {
+    throw new Error("Business not found");
+  }
+
+  if (!business.access_token) {
+    throw new Error("Business has no access_token configured");
+  }
+
+  return {
+    flow,
+    business,
+    client: createMetaGraphClient(business.access_token),
+  };
+};
+
+const requireMetaFlowId = (flow) => {
+  if (!flow.meta_flow_id) {
+    throw new Error("Flow has not been created on Meta yet");
+  }
+  return flow.meta_flow_id;
+};
+
+// Copy the state Meta reports onto the local record
+const applyMetaFlowState = (flow, metaFlow) => {
+  if (metaFlow.status) {
+    flow.meta_status = metaFlow.status;
+  }
+  if (Array.isArray(metaFlow.categories)) {
+    flow.categories = metaFlow.categories;
+  }
+  if (metaFlow.validation_errors !== undefined) {
+    flow.validation_errors = metaFlow.validation_errors || [];
+  }
+  flow.meta_synced_at = new Date();
+};
+
+/**
+ * Meta lifecycle fields of a flow, as returned by the routes
+ */
+const toMetaState = (flow) => ({
+  flow_id: flow.id,
+  meta_flow_id: flow.meta_flow_id,
+  meta_status: flow.meta_status,
+  categories: flow.categories,
+  validation_errors: flow.validation_errors,
+  meta_synced_at: flow.meta_synced_at,
+});
+
+const uploadStoredFlowJson = async (flow, client) => {
+  const result = await client.uploadFlowJson(flow.meta_flow_id, flow.flow_json);
+  flow.validation_errors = result.validation_errors || [];
+  flow.meta_synced_at = new Date();
+  return result;
+};
+
+/**
+ * Create the flow under the business's WhatsApp Business Account
+ * The stored flow JSON, if any, is uploaded straight away. The Meta flow ID
+ * is saved first, so a failed upload can be retried with uploadMetaFlowJson.
+ * @param {string} flowId - Flow ID
+ * @param {Object} options - { name, categories, endpoint_url, clone_flow_id }
+ * @returns {Object} Meta lifecycle state, with upload_error when the JSON
+ *   upload failed
+ */
+const createMetaFlow = async (flowId, options = {}) => {
+  try {
+    const { flow, business, client } = await loadFlowContext(flowId);
+
+    if (flow.meta_flow_id) {
+      throw new Error(`Flow already exists on Meta as ${flow.meta_flow_id}`);
+    }
+
+    if (!business.whatsapp_business_account_id) {
+      throw new Error(
+        "Business has no whatsapp_business_account_id configured"
+      );
+    }
+
+    const categories =
+      options.categories ||
+      (flow.categories.length > 0 ? flow.categories : DEFAULT_CATEGORIES);
+
+    const created = await client.createFlow(
+      business.whatsapp_business_account_id,
+      {
+        name: options.name || flow.name,
+        categories,
+        endpointUri: options.endpoint_url || flow.endpoint_url,
+        cloneFlowId: options.clone_flow_id,
+      }
+    );
+
+    console.log(`✅ Created Meta flow ${created.id} for ${flowId}`);
+
+    flow.meta_flow_id = created.id;
+    flow.meta_status = "DRAFT";
+    flow.categories = categories;
+    flow.meta_synced_at = new Date();
+    await flow.save();
+
+    if (!flow.flow_json) {
+      return toMetaState(flow);
+    }
+
+    try {
+      await uploadStoredFlowJson(flow, client);
+      await flow.save();
+    } catch (uploadError) {
+      console.error(
+        `❌ Flow JSON upload failed for Meta flow ${created.id}:`,
+        uploadError.message
+      );
+      return {
+        ...toMetaState(flow),
+        upload_error: {
+          message: uploadError.message,
+          details: uploadError.details,
+        },
+      };
+    }
+
+    return toMetaState(flow);
+  } catch (error) {
+    console.error("Error creating Meta flow:", error);
+    throw error;
+  }
+};
+
+/**
+ * Upload the stored flow JSON as the flow's FLOW_JSON asset
+ * @param {string} flowId - Flow ID
+ * @returns {Object} Meta lifecycle state, with Meta's validation errors
+ */
+const uploadMetaFlowJson = async (flowId) => {
+  try {
+    const { flow, client } = await loadFlowContext(flowId);
+    requireMetaFlowId(flow);
+
+    if (!flow.flow_json) {
+      throw new Error(
+        "Flow has no flow_json, save it with PUT /config/:flowId/definition"
+      );
+    }
+
+    await uploadStoredFlowJson(flow, client);
+    await flow.save();
+
+    console.log(
+      `📤 Uploaded flow JSON for ${flowId} (${flow.validation_errors.length} validation errors)`
+    );
+    return toMetaState(flow);
+  } catch (error) {
+    console.error("Error uploading flow JSON:", error);
+    throw error;
+  }
+};
+
+/**
+ * Run a lifecycle action on Meta and refresh the stored status
+ */
+const runMetaFlowAction = async (flowId, action) => {
+  const { flow, client } = await loadFlowContext(flowId);
+  const metaFlowId = requireMetaFlowId(flow);
+
+  await action(client, metaFlowId);
+
+  applyMetaFlowState(flow, await client.getFlow(metaFlowId));
+  await flow.save();
+  return toMetaState(flow);
+};
+
+/**
+ * Publish the flow; Meta rejects flows with validation errors
+ * @param {string} flowId - Flow ID
+ * @returns {Object} Meta lifecycle state
+ */
+const publishMetaFlow = async (flowId) => {
+  try {
+    return await runMetaFlowAction(flowId, (client, metaFlowId) =>
+      client.publishFlow(metaFlowId)
+    );
+  } catch (error) {
+    console.error("Error publishing Meta flow:", error);
+    throw error;
+  }
+};
+
+/**
+ * Deprecate a published flow so it can no longer be sent
+ * @param {string} flowId - Flow ID
+ * @returns {Object} Meta lifecycle state
+ */
+const deprecateMetaFlow = async (flowId) => {
+  try {
+    return await runMetaFlowAction(flowId, (client, metaFlowId) =>
+      client.deprecateFlow(metaFlowId)
+    );
+  } catch (error) {
+    console.error("Error deprecating Meta flow:", error);
+    throw error;
+  }
+};
+
+/**
+ * Refresh status and validation errors from Meta
+ * @param {string} flowId - Flow ID
+ * @returns {Object} Meta lifecycle state
+ */
+const syncMetaFlow = async (flowId) => {
+  try {
+    return await runMetaFlowAction(flowId, async () => {});
+  } catch (error) {
+    console.error("Error syncing Meta flow:", error);
+    throw error;
+  }
+};
+
+module.exports = {
+  createMetaFlow,
+  uploadMetaFlowJson,
+  publishMetaFlow,
+  deprecateMetaFlow,
+  syncMetaFlow,
+};
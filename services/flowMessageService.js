@@ -0,0 +1,166 @@
+const Flow = require("../models/Flow");
+const Business = require("../models/Business");
+const FlowSession = require("../models/FlowSession");
+const { createMetaGraphClient } = require("./metaGraphClient");
+const { getInitialScreen, hasScreenDefinitions } = require("./flowDefinition");
+const { createFlowToken } = require("../utils/flowToken");
+const { getSessionExpiry } = require("./flowSessionService");
+
+/**
+ * Build the interactive flow message for the Cloud API
+ * @param {Object} params
+ * @param {string} params.to - Recipient WhatsApp number
+ * @param {string} params.metaFlowId - Meta flow ID
+ * @param {string} params.flowToken - Signed flow token
+ * @param {Object} params.options - Message options from the request
+ * @param {string} params.screen - First screen (navigate mode)
+ * @returns {Object} Message body
+ */
+const buildFlowMessage = ({ to, metaFlowId, flowToken, options, screen }) => {
+  const flowAction = options.flow_action || "data_exchange";
+
+  const parameters = {
+    flow_message_version: "3",
+    flow_token: flowToken,
+    flow_id: metaFlowId,
+    flow_cta: options.cta || "Open",
+    flow_action: flowAction,
+  };
+
+  if (options.mode === "draft") {
+    parameters.mode = "draft";
+  }
+
+  // navigate opens a screen directly, data_exchange asks the endpoint (INIT)
+  if (flowAction === "navigate") {
+    parameters.flow_action_payload = {
+      screen,
+      data: options.data || {},
+    };
+  }
+
+  const interactive = {
+    type: "flow",
+    body: { text: options.body },
+    action: { name: "flow", parameters },
+  };
+
+  if (options.header) {
+    interactive.header = { type: "text", text: options.header };
+  }
+  if (options.footer) {
+    interactive.footer = { text: options.footer };
+  }
+
+  return {
+    recipient_type: "individual",
+    to,
+    type: "interactive",
+    interactive,
+  };
+};
+
+/**
+ * Send a flow to a WhatsApp user
+ * Mints a signed flow token and pre-creates the session it identifies, so the
+ * data endpoint can resolve the business, flow and user from the token alone.
+ * @param {string} flowId - Flow ID
+ * @param {Object} options
+ * @param {string} options.to - Recipient WhatsApp number
+ * @param {string} options.body - Message body text
+ * @param {string} options.header - Header text (optional)
+ * @param {string} options.footer - Footer text (optional)
+ * @param {string} options.cta - Button text
+ * @param {string} options.flow_action - data_exchange (default) or navigate
+ * @param {string} options.screen - First screen for navigate
+ * @param {Object} options.data - Initial screen data
+ * @param {string} options.mode - "draft" to send an unpublished flow
+ * @returns {Object} { flow_token, session_id, message_id }
+ */
+const sendFlowMessage = async (flowId, options) => {
+  try {
+    const flow = await Flow.findOne({ id: flowId });
+    if (!flow) {
+      throw new Error("Flow not found");
+    }
+
+    const business = await Business.findOne({ id: flow.business_id });
+    if (!business) {
+      throw new Error("Business not found");
+    }
+
+    if (!business.phone_number_id || !business.access_token) {
+      throw new Error("Business needs access_token and phone_number_id");
+    }
+
+    const screen =
+      options.screen ||
+      (hasScreenDefinitions(flow) ? getInitialScreen(flow) : undefined);
+
+    if (options.flow_action === "navigate" && !screen) {
+      throw new Error("screen is required for navigate flow messages");
+    }
+
+    const flowToken = createFlowToken({
+      businessId: business.id,
+      flowId: flow.id,
+      recipient: options.to,
+    });
+
+    // The session is keyed by the flow token Meta echoes back on every request
+    const session = await FlowSession.create({
+      id: flowToken,
+      flow_id: flow.id,
+      business_id: business.id,
+      user_id: options.to,
+      current_screen: screen,
+      screen_stack: screen ? [screen] : [],
+      session_data: JSON.stringify(options.data || {}),
+      last_activity_at: new Date(),
+      expires_at: getSessionExpiry(flow),
+    });
+
+    // Flows built in Meta's UI are registered locally under their Meta flow ID
+    const message = buildFlowMessage({
+      to: options.to,
+      metaFlowId: flow.meta_flow_id || flow.id,
+      flowToken,
+      options,
+      screen,
+    });
+
+    let response;
+    try {
+      response = await createMetaGraphClient(business.access_token).sendMessage(
+        business.phone_number_id,
+        message
+      );
+    } catch (sendError) {
+      // Nothing was delivered, so nothing will ever use this session
+      await FlowSession.deleteOne({ id: flowToken });
+      throw sendError;
+    }
+
+    const messageId =
+      response.messages && response.messages[0] && response.messages[0].id;
+
+    session.message_id = messageId;
+    await session.save();
+
+    console.log(`📨 Sent flow ${flowId} to ${options.to} (${messageId})`);
+
+    return {
+      flow_token: flowToken,
+      session_id: session.id,
+      message_id: messageId,
+    };
+  } catch (error) {
+    console.error("Error sending flow message:", error);
+    throw error;
+  }
+};
+
+module.exports = {
+  sendFlowMessage,
+  buildFlowMessage,
+};
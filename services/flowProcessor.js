@@ -1,15 +1,54 @@
-const crypto = require("crypto");
-const { v4: uuidv4 } = require("uuid");
-const Flow = require("../models/Flow");
-const FlowData = require("../models/FlowData");
-const FlowSession = require("../models/FlowSession");
-const FlowResponse = require("../models/FlowResponse");
 const {
   decryptRequest,
   encryptResponse,
   validateSignature,
-  FlowEndpointException,
 } = require("../utils/encryption");
+const {
+  FlowEndpointException,
+  InvalidFlowRequestException,
+  KeyRefreshException,
+  FlowTokenException,
+  SignatureValidationException,
+  ScreenErrorException,
+} = require("../utils/flowErrors");
+const {
+  SUCCESS_SCREEN,
+  resolveFlow,
+  hasScreenDefinitions,
+  getScreenDefinition,
+  getInitialScreen,
+  resolveNextScreen,
+  resolvePreviousScreen,
+} = require("./flowDefinition");
+const { getDataSourceConfig, fetchDataSource } = require("./dataSourceService");
+const { incrementCounter } = require("../utils/metrics");
+const { getDecryptionKeys } = require("./businessService");
+const { verifyFlowToken } = require("../utils/flowToken");
+const {
+  parseSessionData,
+  getSessionValues,
+  getFormState,
+  ensureSession,
+  startSession,
+  advanceSession,
+  popSession,
+  completeSession,
+  expireSession,
+} = require("./flowSessionService");
+const {
+  saveScreenSubmission,
+  saveFinalSubmission,
+} = require("./submissionService");
+const { emitFlowEvent, getSessionEventData } = require("./webhookService");
+const { validateSubmission } = require("./fieldValidation");
+const {
+  isErrorNotification,
+  recordFlowErrorEvent,
+} = require("./flowErrorService");
+
+// Actions sent from a screen the user can retry on
+const SCREEN_ERROR_ACTIONS = ["DATA_EXCHANGE", "BACK"];
+const SCREEN_ERROR_MESSAGE = "Something went wrong, please try again";
 
 /**
  * Process Flow actions according to WhatsApp Flow Data Endpoint specification
@@ -18,8 +57,12 @@ const {
  * @param {string} params.screen - Screen ID
  * @param {string} params.flow_token - Flow token
  * @param {string} params.session_id - Session ID
- * @param {Object} params.payload - Request payload
- * @param {Object} params.db - Database instance
+ * @param {Object} params.payload - Request payload (JSON test path)
+ * @param {Object} params.data - Request payload as sent by Meta
+ * @param {Object} params.context - Resolved { business, flow } for the request
+ * @returns {Object} Screen response; failures on a screen become an
+ *   error_message response for that screen
+ * @throws {FlowEndpointException} For failures answered with an HTTP status
  */
 const processFlowAction = async ({
   action,
@@ -27,135 +70,263 @@ const processFlowAction = async ({
   flow_token,
   session_id,
   payload,
+  data,
+  context = {},
 }) => {
+  const requestPayload = payload || data;
+  // Meta sends "ping" and "data_exchange" in lower case, INIT and BACK in upper
+  const actionName = String(action || "").toUpperCase();
+
   console.log("🔍 Processing flow action:", action);
   console.log("🔍 Screen:", screen);
   console.log("🔍 Flow token:", flow_token);
   console.log("🔍 Session ID:", session_id);
-  console.log("🔍 Payload:", payload);
+  console.log("🔍 Payload:", requestPayload);
 
   try {
-    switch (action) {
+    if (actionName === "PING") {
+      return await handlePingAction();
+    }
+
+    if (isErrorNotification(actionName, requestPayload)) {
+      return await handleErrorNotification({
+        action: actionName,
+        screen,
+        flow_token,
+        session_id,
+        data: requestPayload,
+        context,
+      });
+    }
+
+    // Tokens minted by sendFlowMessage carry the flow and recipient,
+    // legacy flows use the flow token as the flow ID
+    const token = verifyFlowTokenForContext(flow_token, context);
+    const flow = await resolveFlow({
+      flow: context.flow,
+      business: context.business,
+      flowId: token ? token.flow_id : flow_token,
+    });
+
+    const params = {
+      screen,
+      flow_token,
+      session_id,
+      user_id: token ? token.recipient : undefined,
+      payload: requestPayload,
+      flow,
+      // Attributes sessions of flows without a business_id (legacy tokens)
+      business: context.business,
+    };
+
+    switch (actionName) {
       case "INIT":
-        return await handleInitAction({
-          screen,
-          flow_token,
-          session_id,
-          payload,
-        });
+        return await handleInitAction(params);
 
       case "BACK":
-        return await handleBackAction({
-          screen,
-          flow_token,
-          session_id,
-          payload,
-        });
+        return await handleBackAction(params);
 
       case "DATA_EXCHANGE":
-        return await handleDataExchangeAction({
-          screen,
-          flow_token,
-          session_id,
-          payload,
-        });
+        return await handleDataExchangeAction(params);
 
       case "COMPLETE":
-        return await handleCompleteAction({
-          screen,
-          flow_token,
-          session_id,
-          payload,
-        });
-
-      case "ping":
-        return await handlePingAction();
+        return await handleCompleteAction(params);
 
       default:
-        throw new Error(`Unknown action: ${action}`);
+        throw new InvalidFlowRequestException(`Unknown action: ${action}`);
     }
   } catch (error) {
     console.error(`Error processing ${action} action:`, error);
+
+    if (error instanceof ScreenErrorException) {
+      return error.toResponse();
+    }
+
+    if (error instanceof FlowTokenException && error.reason === "expired") {
+      await expireSession(session_id || flow_token).catch(() => {});
+    }
+
+    // Unexpected failures on a screen keep the user there with a message
+    // instead of Meta's generic error screen
+    if (
+      !(error instanceof FlowEndpointException) &&
+      screen &&
+      SCREEN_ERROR_ACTIONS.includes(actionName)
+    ) {
+      return new ScreenErrorException(
+        screen,
+        SCREEN_ERROR_MESSAGE
+      ).toResponse();
+    }
+    throw error;
+  }
+};
+
+/**
+ * Verify a flow token and check it was issued for the business (and flow)
+ * the request was resolved to
+ * @param {string} flowToken - Flow token from the request
+ * @param {Object} context - Resolved { business, flow }
+ * @returns {Object|null} Token payload, or null for a legacy token
+ * @throws {FlowTokenException} 427 when the token cannot be used here
+ */
+const verifyFlowTokenForContext = (flowToken, context) => {
+  try {
+    const token = verifyFlowToken(flowToken);
+    if (!token) {
+      return null;
+    }
+
+    if (context.business && token.business_id !== context.business.id) {
+      console.error(
+        `❌ Flow token for business ${token.business_id} used with business ${context.business.id}`
+      );
+      throw new FlowTokenException();
+    }
+
+    if (context.flow && token.flow_id !== context.flow.id) {
+      console.error(
+        `❌ Flow token for flow ${token.flow_id} used with flow ${context.flow.id}`
+      );
+      throw new FlowTokenException();
+    }
+
+    return token;
+  } catch (error) {
+    incrementCounter("flow_token_rejections_total", {
+      business_id: context.business ? context.business.id : "-",
+      reason: error.message,
+    });
     throw error;
   }
 };
 
+// Screen served to flows without screen definitions
+const LEGACY_FORM_SCREEN = "FORM";
+
+// Meta does not send a session ID, the flow token identifies the session
+const getSessionId = ({ session_id, flow_token }, action) => {
+  const sessionId = session_id || flow_token;
+  if (!sessionId) {
+    throw new InvalidFlowRequestException(
+      `Flow token or session ID required for ${action} action`
+    );
+  }
+  return sessionId;
+};
+
 /**
- * Handle INIT action - Initialize screen data
+ * Handle INIT action - Start the session and show the first screen
  */
 const handleInitAction = async ({
   screen,
   flow_token,
   session_id,
+  user_id,
   payload,
+  flow,
+  business,
 }) => {
   console.log("🔍 Handling INIT action for screen:", screen);
   console.log("🔍 Payload:", payload);
 
-  // Get screen data based on screen ID
-  const screenData = await getScreenData(flow_token);
+  const legacy = !hasScreenDefinitions(flow);
+  const initialScreen = legacy ? LEGACY_FORM_SCREEN : getInitialScreen(flow);
 
-  const staticData = {
-    FORM: {
-      screen: "FORM",
-      data: {
-        data_source: screenData,
-      },
-    },
-  };
+  const session = await ensureSession({
+    sessionId: getSessionId({ session_id, flow_token }, "INIT"),
+    flow,
+    business,
+    user_id,
+    screen: initialScreen,
+  });
+  startSession(session, initialScreen);
+  await session.save();
+  await emitFlowEvent("flow.started", {
+    ...getSessionEventData(session),
+    screen_id: initialScreen,
+  });
 
-  return {
-    ...staticData.FORM,
-    data: {
-      ...staticData.FORM.data,
+  // Initial data given when the flow message was sent, then anything
+  // the user already entered if the flow is reopened
+  const params = {
+    flow,
+    flow_token,
+    user_id,
+    payload: {
+      ...parseSessionData(session),
+      ...getFormState(session, initialScreen),
+      ...(payload || {}),
     },
+    session,
   };
+
+  if (legacy) {
+    return await buildLegacyFormResponse(params);
+  }
+
+  return await buildScreenResponse({ ...params, screenId: initialScreen });
 };
 
 /**
- * Handle BACK action - Handle back navigation
+ * Handle BACK action - Return to the previous screen with its saved values
  */
 const handleBackAction = async ({
   screen,
   flow_token,
   session_id,
+  user_id,
   payload,
+  flow,
+  business,
 }) => {
-  if (!session_id) {
-    throw new Error("Session ID required for BACK action");
-  }
+  const session = await ensureSession({
+    sessionId: getSessionId({ session_id, flow_token }, "BACK"),
+    flow,
+    business,
+    user_id,
+    screen,
+  });
 
-  // Get session data
-  const session = await getSession(session_id);
-  if (!session) {
-    throw new Error("Session not found");
+  // Meta may send BACK without a screen; the session knows where the user is
+  const fromScreen =
+    screen ||
+    session.current_screen ||
+    session.screen_stack[session.screen_stack.length - 1];
+
+  let previousScreen = fromScreen ? popSession(session, fromScreen) : null;
+  if (!previousScreen) {
+    // No history for this screen, fall back to the routing graph
+    const legacy = !hasScreenDefinitions(flow);
+    previousScreen =
+      (!legacy && fromScreen && resolvePreviousScreen(flow, fromScreen)) ||
+      fromScreen ||
+      (legacy ? LEGACY_FORM_SCREEN : getInitialScreen(flow));
+
+    if (!previousScreen) {
+      throw new InvalidFlowRequestException(
+        "No screen to go back to for BACK action"
+      );
+    }
+    startSession(session, previousScreen);
   }
+  await session.save();
 
-  // Update session with current screen
-  await updateSession({
-    sessionId: session_id,
-    current_screen: screen,
-    session_data: JSON.stringify(payload || {}),
-  });
-
-  // Get refreshed screen data
-  const screenData = await getScreenData(flow_token);
+  console.log(`🔙 Back from ${fromScreen} to ${previousScreen}`);
 
-  const staticData = {
-    FORM: {
-      screen: "FORM",
-      data: {
-        data_source: screenData,
-      },
-    },
+  const params = {
+    flow,
+    flow_token,
+    user_id,
+    payload: { ...getFormState(session, previousScreen), ...(payload || {}) },
+    session,
   };
 
-  return {
-    ...staticData.FORM,
-    data: {
-      ...staticData.FORM.data,
-    },
-  };
+  if (!hasScreenDefinitions(flow)) {
+    return await buildLegacyFormResponse(params);
+  }
+
+  return await buildScreenResponse({ ...params, screenId: previousScreen });
 };
 
 /**
@@ -165,76 +336,98 @@ const handleDataExchangeAction = async ({
   screen,
   flow_token,
   session_id,
+  user_id,
   payload,
+  flow,
+  business,
 }) => {
-  if (!session_id) {
-    throw new Error("Session ID required for DATA_EXCHANGE action");
+  const sessionId = getSessionId({ session_id, flow_token }, "DATA_EXCHANGE");
+  const session = await ensureSession({
+    sessionId,
+    flow,
+    business,
+    user_id,
+    screen,
+  });
+
+  // Invalid submissions stay on the screen and are not recorded
+  if (hasScreenDefinitions(flow)) {
+    const errors = await validateSubmission({
+      screen: getScreenDefinition(flow, screen),
+      payload: payload || {},
+      scope: {
+        payload: payload || {},
+        session: getSessionValues(session),
+        flow_token,
+        user_id,
+        flow_id: flow.id,
+        business_id: flow.business_id,
+        screen,
+      },
+    });
+
+    if (errors) {
+      console.log(`⚠️ Submission of ${screen} failed validation`);
+      incrementCounter("flow_validation_failures_total", {
+        flow_id: flow.id,
+        screen,
+      });
+      await session.save();
+
+      return await buildScreenResponse({
+        flow,
+        screenId: screen,
+        flow_token,
+        user_id,
+        payload,
+        session,
+        errors,
+      });
+    }
   }
 
+  // Determine next screen from the routing graph; resolved before saving so
+  // a submission from an unknown screen is rejected without being stored
+  const nextScreen = hasScreenDefinitions(flow)
+    ? determineNextScreen({ flow, currentScreen: screen, payload })
+    : null;
+
   // Save user responses
   if (payload) {
-    await saveUserResponses({
-      sessionId: session_id,
-      screenId: screen,
-      responses: payload,
-    });
+    await saveScreenSubmission({ session, flow, screenId: screen, payload });
   }
 
-  // Get screen data including dropdown options
-  const screenData = await getScreenData(flow_token);
+  if (!hasScreenDefinitions(flow)) {
+    advanceSession(session, screen, payload);
+    await session.save();
 
-  const staticData = {
-    FORM: {
-      screen: "FORM",
-      data: {
-        data_source: screenData,
-      },
-    },
-  };
+    return await buildLegacyFormResponse({
+      flow,
+      flow_token,
+      user_id,
+      payload,
+      session,
+    });
+  }
 
-  return {
-    ...staticData.FORM,
-    data: {
-      ...staticData.FORM.data,
-    },
-  };
+  if (!nextScreen) {
+    completeSession(session, screen, payload);
+    await session.save();
+    await saveFinalSubmission({ session, flow });
+    return buildCompletionResponse({ flow_token, payload });
+  }
 
-  // Process the data exchange logic
-  // const processedData = await processDataExchange({
-  //   screen,
-  //   payload,
-  //   session_id,
-  // });
-
-  // // Determine next screen based on business logic
-  // const nextScreen = await determineNextScreen({
-  //   currentScreen: screen,
-  //   payload,
-  //   session_id,
-  // });
-
-  // if (nextScreen) {
-  //   return {
-  //     version: "7.2",
-  //     screen: nextScreen,
-  //     data: {
-  //       ...processedData,
-  //       ...screenData, // Include dropdown options and other screen data
-  //     },
-  //     session_id: session_id,
-  //   };
-  // } else {
-  //   // Complete the flow
-  //   return {
-  //     version: "7.2",
-  //     screen: "SUCCESS",
-  //     data: {
-  //       ...processedData,
-  //       ...screenData, // Include dropdown options and other screen data
-  //     },
-  //     session_id: session_id,
-  //   };
-  // }
+  advanceSession(session, screen, payload, nextScreen);
+  await session.save();
+
+  return await buildScreenResponse({
+    flow,
+    screenId: nextScreen,
+    flow_token,
+    user_id,
+    payload: { ...getFormState(session, nextScreen), ...(payload || {}) },
+    session,
+  });
 };
 
 /**
@@ -244,36 +437,38 @@ const handleCompleteAction = async ({
   screen,
   flow_token,
   session_id,
+  user_id,
   payload,
+  flow,
+  business,
 }) => {
-  if (!session_id) {
-    throw new Error("Session ID required for COMPLETE action");
-  }
+  const sessionId = getSessionId({ session_id, flow_token }, "COMPLETE");
+  const session = await ensureSession({
+    sessionId,
+    flow,
+    business,
+    user_id,
+    screen,
+  });
 
   // Save final responses
   if (payload) {
-    await saveUserResponses({
-      sessionId: session_id,
-      screenId: screen,
-      responses: payload,
-    });
+    await saveScreenSubmission({ session, flow, screenId: screen, payload });
   }
 
   // Mark session as completed
-  await updateSession({
-    sessionId: session_id,
-    current_screen: "COMPLETED",
-    session_data: JSON.stringify(payload || {}),
-  });
+  completeSession(session, screen, payload);
+  await session.save();
+  await saveFinalSubmission({ session, flow });
 
   return {
     version: "7.2",
     screen: "SUCCESS",
     data: {
       message: "Flow completed successfully",
-      completed_at: new Date().toISOString(),
+      completed_at: session.completed_at.toISOString(),
     },
-    session_id: session_id,
+    session_id: sessionId,
   };
 };
 
@@ -293,269 +488,298 @@ const handlePingAction = async () => {
   }
 };
 
+/**
+ * Handle an error notification - Store it and acknowledge as required by Meta
+ * The acknowledgement is sent even when storing fails, the client does not
+ * act on anything else.
+ */
+const handleErrorNotification = async (params) => {
+  try {
+    await recordFlowErrorEvent(params);
+  } catch (error) {
+    console.error("Error handling error notification:", error);
+  }
+
+  return {
+    data: {
+      acknowledged: true,
+    },
+  };
+};
+
 /**
  * Helper Functions
  */
 
-const createOrUpdateSession = async ({
-  sessionId,
+/**
+ * Load the data for a screen from its configured external data source
+ * @param {Object} params
+ * @param {Object} params.flow - Resolved flow (null for legacy flows)
+ * @param {string} params.screenId - Screen being rendered
+ * @param {string} params.flow_token - Flow token
+ * @param {string} params.user_id - User from the flow token
+ * @param {Object} params.payload - Request payload
+ * @param {Object} params.session - Session document
+ * @returns {Object} Screen data keyed by each source's target key
+ */
+const getScreenData = async ({
+  flow,
+  screenId,
   flow_token,
-  current_screen,
-  session_data,
+  user_id,
+  payload,
+  session,
 }) => {
   try {
-    const flowId = flow_token || "default_flow";
-    const expiresAt = new Date();
-    expiresAt.setHours(expiresAt.getHours() + 24); // 24 hours expiry
+    const flowId = flow ? flow.id : flow_token;
+    console.log(`🔍 Getting screen data for ${flowId}/${screenId}`);
+
+    const config = await getDataSourceConfig({
+      businessId: flow ? flow.business_id : undefined,
+      flowId,
+      screenId,
+    });
 
-    const sessionData = {
-      id: sessionId,
+    if (!config) {
+      console.log(`No data source configured for ${flowId}/${screenId}`);
+      return {};
+    }
+
+    const scope = {
+      payload: payload || {},
+      session: getSessionValues(session),
+      flow_token,
+      user_id,
       flow_id: flowId,
-      current_screen,
-      session_data,
-      expires_at: expiresAt,
+      business_id: flow ? flow.business_id : undefined,
+      screen: screenId,
     };
 
-    // Use upsert to create or update session
-    const session = await FlowSession.findOneAndUpdate(
-      { id: sessionId },
-      sessionData,
-      { upsert: true, new: true }
-    );
-
-    return session;
+    const screenData = await fetchDataSource({ config, scope });
+    console.log(`📤 Returning screen data for ${flowId}/${screenId}`);
+    return screenData;
   } catch (error) {
-    console.error("Error creating/updating session:", error);
+    console.error("❌ Error getting screen data:", error);
     throw error;
   }
 };
 
-const updateSession = async ({ sessionId, current_screen, session_data }) => {
-  try {
-    const session = await FlowSession.findOneAndUpdate(
-      { id: sessionId },
-      { current_screen, session_data, updated_at: new Date() },
-      { new: true }
-    );
-    return session;
-  } catch (error) {
-    console.error("Error updating session:", error);
-    throw error;
-  }
+const determineNextScreen = ({ flow, currentScreen, payload }) => {
+  const nextScreen = resolveNextScreen(flow, currentScreen, payload);
+  console.log(`🧭 Next screen after ${currentScreen}: ${nextScreen || "END"}`);
+  return nextScreen;
 };
 
-const getSession = async (sessionId) => {
-  try {
-    const session = await FlowSession.findOne({ id: sessionId });
-    return session;
-  } catch (error) {
-    console.error("Error getting session:", error);
-    throw error;
+/**
+ * Build a screen response, keeping only the data keys the screen declares
+ */
+const buildScreenResponse = async ({
+  flow,
+  screenId,
+  flow_token,
+  user_id,
+  payload,
+  session,
+  errors,
+}) => {
+  const screenDefinition = getScreenDefinition(flow, screenId);
+  if (!screenDefinition) {
+    throw new Error(`Screen ${screenId} is not defined for flow ${flow.id}`);
   }
-};
 
-const getScreenData = async (flow_token) => {
-  try {
-    console.log(`🔍 Getting screen data for: ${flow_token}`);
+  const screenData = await getScreenData({
+    flow,
+    screenId,
+    flow_token,
+    user_id,
+    payload,
+    session,
+  });
 
-    // Check if we have API configuration for this screen
-    const flowData = await FlowData.findOne({
-      flow_token,
-    });
-    console.log(`Flow Data found:`, flowData);
-    console.log("data type:", typeof flowData);
-
-    console.log(`Endpoint: ${flowData?.endpoint}`);
-    console.log(`Method: ${flowData?.method}`);
-
-    let dataSource = [];
-
-    if (flowData) {
-      try {
-        console.log("Fetching API data");
-        const apiResponse = await fetch(
-          "https://dktest.free.beeceptor.com/todos",
-          {
-            method: "GET",
-            headers: {
-              "Content-Type": "application/json",
-            },
-          }
-        );
+  const data = {
+    ...(screenDefinition.data || {}),
+    ...(payload || {}),
+    ...screenData,
+  };
 
-        console.log(`API Response status: ${apiResponse.status}`);
-
-        if (apiResponse.ok) {
-          const responseData = await apiResponse.json();
-          console.log(`✅ API response received:`, responseData);
-
-          // Handle different response formats
-          if (Array.isArray(responseData)) {
-            dataSource.push(...responseData);
-          } else if (responseData.data && Array.isArray(responseData.data)) {
-            dataSource.push(...responseData.data);
-          } else if (responseData.items && Array.isArray(responseData.items)) {
-            dataSource.push(...responseData.items);
-          } else {
-            // If it's a single object, wrap it in an array
-            dataSource.push(responseData);
-          }
-        } else {
-          console.error(
-            `❌ API request failed: ${apiResponse.status} ${apiResponse.statusText}`
-          );
-        }
-      } catch (apiError) {
-        console.error("❌ Failed to fetch API data:", apiError);
-      }
-    } else {
-      console.log("No flow data found or endpoint is missing");
+  const dataKeys = screenDefinition.data_keys || [];
+  const screenResponseData =
+    dataKeys.length > 0
+      ? Object.fromEntries(
+          Object.entries(data).filter(([key]) => dataKeys.includes(key))
+        )
+      : data;
+
+  // error_message is shown by WhatsApp itself; field_errors only reaches
+  // screens that declare it
+  if (errors) {
+    screenResponseData.error_message = errors.error_message;
+    if (dataKeys.length === 0 || dataKeys.includes("field_errors")) {
+      screenResponseData.field_errors = errors.field_errors;
     }
-
-    console.log(`📤 Returning screen data for ${flow_token}:`, dataSource);
-    return dataSource;
-  } catch (error) {
-    console.error("❌ Error getting screen data:", error);
-    throw error;
   }
+
+  return {
+    screen: screenId,
+    data: screenResponseData,
+  };
 };
 
-// Helper function to transform API data
-const transformApiDataToDropdownOptions = (apiData, transformFunction) => {
-  if (transformFunction && typeof transformFunction === "function") {
-    try {
-      return transformFunction(apiData);
-    } catch (error) {
-      console.error("Transform function error:", error);
-    }
-  }
+// Hardcoded FORM screen for flows without screen definitions
+const buildLegacyFormResponse = async ({
+  flow,
+  flow_token,
+  user_id,
+  payload,
+  session,
+}) => {
+  const screenData = await getScreenData({
+    flow,
+    screenId: LEGACY_FORM_SCREEN,
+    flow_token,
+    user_id,
+    payload,
+    session,
+  });
 
-  // Default transformation logic
-  if (Array.isArray(apiData)) {
-    return apiData.map((item, index) => ({
-      id: item.id || item.value || `option_${index}`,
-      title: item.title || item.label || item.name || item.text || String(item),
-    }));
-  }
+  return {
+    screen: LEGACY_FORM_SCREEN,
+    data: {
+      data_source: [],
+      ...screenData,
+    },
+  };
+};
 
-  if (apiData.data && Array.isArray(apiData.data)) {
-    return apiData.data.map((item, index) => ({
-      id: item.id || item.value || `option_${index}`,
-      title: item.title || item.label || item.name || item.text || String(item),
-    }));
-  }
+// Closes the flow and hands the params back to the chat as the flow reply
+const buildCompletionResponse = ({ flow_token, payload }) => ({
+  screen: SUCCESS_SCREEN,
+  data: {
+    extension_message_response: {
+      params: {
+        flow_token,
+        ...(payload || {}),
+      },
+    },
+  },
+});
 
-  return [];
-};
+/**
+ * Decrypt a request with the business's keys, newest generation first
+ * Overlapping generations keep in-flight flows working during key rotation.
+ * @param {Object} body - Encrypted request body
+ * @param {Object} business - Business document
+ * @returns {Object} Output of decryptRequest
+ * @throws {KeyRefreshException} 421 when no key can decrypt the request
+ */
+const decryptWithBusinessKeys = (body, business) => {
+  const keys = getDecryptionKeys(business);
+  let lastError = new KeyRefreshException();
 
-const saveUserResponses = async ({ sessionId, screenId, responses }) => {
-  try {
-    const responseEntries = Object.entries(responses);
-
-    for (const [fieldName, fieldValue] of responseEntries) {
-      const flowResponse = new FlowResponse({
-        flow_id: "default_flow",
-        session_id: sessionId,
-        screen_id: screenId,
-        field_name: fieldName,
-        field_value: JSON.stringify(fieldValue),
-        response_data: JSON.stringify(responses),
+  for (const key of keys) {
+    try {
+      const decryptedRequest = decryptRequest(
+        body,
+        key.private_key,
+        key.private_key_passphrase || ""
+      );
+
+      if (key.status !== "active") {
+        console.warn(
+          `⚠️ Request for business ${business.id} decrypted with ${key.status} key ${key.id}`
+        );
+      }
+      incrementCounter("flow_decryptions_total", {
+        business_id: business.id,
+        key_status: key.status,
       });
 
-      await flowResponse.save();
+      return decryptedRequest;
+    } catch (err) {
+      console.error(`Decryption with key ${key.id} failed:`, err.message);
+      // A key that cannot be loaded (wrong passphrase, corrupt PEM) must not
+      // stop the other generations from being tried
+      lastError =
+        err instanceof FlowEndpointException ? err : new KeyRefreshException();
     }
-  } catch (error) {
-    console.error("Error saving user responses:", error);
-    throw error;
   }
+
+  throw lastError;
 };
 
-const processDataExchange = async ({ screen, payload, session_id }) => {
-  // Implement your business logic here
-  // This could include:
-  // - API calls to external services
-  // - Database queries
-  // - Data transformation
-  // - Validation
+/**
+ * Validate X-Hub-Signature-256 according to the business signature policy
+ * @param {Object} req - Express request object (uses req.rawBody)
+ * @param {Object} business - Business with app_secret and signature_mode
+ * @throws {SignatureValidationException} 432 when the policy is enforce and validation fails
+ */
+const verifyRequestSignature = (req, business) => {
+  const signatureMode = business.signature_mode || "enforce";
+  if (signatureMode === "off") {
+    console.log(`⚠️ Signature validation is off for business ${business.id}`);
+    return;
+  }
 
-  return {
-    processed: true,
-    screen: screen,
-    timestamp: new Date().toISOString(),
-    // Add processed data here
-  };
-};
+  // Validate signature using raw body (Meta's official implementation)
+  const signature = req.headers["x-hub-signature-256"];
+  const rawBody = req.rawBody || Buffer.from(JSON.stringify(req.body));
 
-const determineNextScreen = async ({ currentScreen, payload, session_id }) => {
-  // Implement your routing logic here
-  // This could be based on:
-  // - User responses
-  // - Business rules
-  // - Conditional logic
+  if (validateSignature(rawBody, signature, business.app_secret)) {
+    console.log("✅ Signature validation passed");
+    return;
+  }
+
+  let reason = "mismatch";
+  if (!signature) {
+    reason = "missing_header";
+  } else if (!business.app_secret) {
+    reason = "missing_app_secret";
+  }
+
+  incrementCounter("flow_signature_failures_total", {
+    business_id: business.id,
+    reason,
+    mode: signatureMode,
+  });
+
+  if (signatureMode === "log_only") {
+    console.warn(
+      `⚠️ Signature validation failed (${reason}) for business ${business.id} - allowed by log_only policy`
+    );
+    return;
+  }
 
-  // For now, return null to complete the flow
-  return null;
+  console.error(
+    `❌ Signature validation failed (${reason}) for business ${business.id}`
+  );
+  throw new SignatureValidationException();
 };
 
 /**
  * Process encrypted Meta Flow request
  * @param {Object} req - Express request object
- * @param {string} privateKeyPem - Private key for decryption
- * @param {string} appSecret - App secret for signature validation
+ * @param {Object} business - Business whose keys and app secret are used
+ * @param {Object} context - Extra request context, e.g. the flow resolved from the URL
  * @returns {Object} Decrypted and processed response
  */
-const processEncryptedFlowRequest = async (
-  req,
-  privateKeyPem,
-  appSecret,
-  passphrase = ""
-) => {
+const processEncryptedFlowRequest = async (req, business, context = {}) => {
   try {
-    // Validate signature using raw body (Meta's official implementation)
-    const signature = req.headers["x-hub-signature-256"];
-    const rawBody = req.rawBody || Buffer.from(JSON.stringify(req.body));
-
-    console.log("🔍 Signature validation debug:");
-    console.log(`   - Signature header: ${signature}`);
-    console.log(`   - App secret exists: ${!!appSecret}`);
-    console.log(`   - App secret length: ${appSecret ? appSecret.length : 0}`);
-    console.log(`   - Raw body length: ${rawBody.length}`);
-
-    // TEMPORARY: Skip signature validation for testing
-    // TODO: Fix app secret mismatch issue
-    console.log("⚠️ TEMPORARILY SKIPPING SIGNATURE VALIDATION FOR TESTING");
-
-    if (!validateSignature(rawBody, signature, appSecret)) {
-      console.error("❌ Signature validation failed");
-      console.log(`   - Received signature: ${signature}`);
-      const expectedSignature =
-        "sha256=" +
-        crypto.createHmac("sha256", appSecret).update(rawBody).digest("hex");
-      console.log(`   - Expected signature: ${expectedSignature}`);
-      console.log("⚠️ PROCEEDING WITHOUT SIGNATURE VALIDATION FOR TESTING");
-      // throw new Error("Invalid signature"); // Commented out for testing
-    } else {
-      console.log("✅ Signature validation passed");
-    }
-
     // Decrypt the request using Meta's official implementation
-    let decryptedRequest = null;
-    try {
-      decryptedRequest = decryptRequest(req.body, privateKeyPem, passphrase);
-    } catch (err) {
-      console.error("Decryption failed:", err);
-      if (err instanceof FlowEndpointException) {
-        throw err; // This will be handled by the caller to return proper HTTP status
-      }
-      throw new Error("Decryption failed");
-    }
+    const decryptedRequest = decryptWithBusinessKeys(req.body, business);
 
     const { aesKeyBuffer, initialVectorBuffer, decryptedBody } =
       decryptedRequest;
+
+    // Checked after decryption so a failure is attributed to the right business
+    verifyRequestSignature(req, business);
+
     console.log("💬 Decrypted Request:", decryptedBody);
 
     // Process the flow action
-    const result = await processFlowAction(decryptedBody);
+    const result = await processFlowAction({
+      ...decryptedBody,
+      context: { ...context, business },
+    });
     console.log("🔄 Processing result:", result);
 
     // Encrypt the response using Meta's official implementation
@@ -587,8 +811,21 @@ const processEncryptedFlowRequest = async (
 module.exports = {
   processFlowAction,
   processEncryptedFlowRequest,
+  verifyRequestSignature,
   validateFlowRequest: (req) => {
     // Basic validation - you can enhance this
-    return req && req.action && req.screen;
+    if (!req || !req.action) {
+      return false;
+    }
+
+    // Health checks and error notifications may come without a screen
+    const action = String(req.action).toUpperCase();
+    if (
+      action === "PING" ||
+      isErrorNotification(action, req.payload || req.data)
+    ) {
+      return true;
+    }
+    return !!req.screen;
   },
 };
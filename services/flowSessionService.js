@@ -0,0 +1,263 @@
+const FlowSession = require("../models/FlowSession");
+
+const DEFAULT_SESSION_TTL_HOURS = parseFloat(
+  process.env.SESSION_TTL_HOURS || "24"
+);
+const DEFAULT_ABANDON_AFTER_MINUTES = parseFloat(
+  process.env.SESSION_ABANDON_AFTER_MINUTES || "30"
+);
+
+/**
+ * Session settings of a flow, with server defaults for unset values
+ * @param {Object} flow - Flow document (optional)
+ * @returns {Object} { ttl_hours, abandon_after_minutes, abandonment_webhook_url }
+ */
+const getSessionSettings = (flow) => {
+  const settings = (flow && flow.session_settings) || {};
+  return {
+    ttl_hours: settings.ttl_hours || DEFAULT_SESSION_TTL_HOURS,
+    abandon_after_minutes:
+      settings.abandon_after_minutes || DEFAULT_ABANDON_AFTER_MINUTES,
+    abandonment_webhook_url:
+      settings.abandonment_webhook_url ||
+      process.env.SESSION_ABANDONMENT_WEBHOOK_URL ||
+      undefined,
+  };
+};
+
+/**
+ * When a session of the flow expires if nothing happens from now on
+ * @param {Object} flow - Flow document (optional)
+ * @returns {Date} Expiry time
+ */
+const getSessionExpiry = (flow) =>
+  new Date(Date.now() + getSessionSettings(flow).ttl_hours * 60 * 60 * 1000);
+
+/**
+ * Get a session by ID (the flow token for sessions started by Meta)
+ * @param {string} sessionId - Session ID
+ * @returns {Object|null} Session document
+ */
+const getSession = async (sessionId) => {
+  try {
+    return await FlowSession.findOne({ id: sessionId });
+  } catch (error) {
+    console.error("Error getting session:", error);
+    throw error;
+  }
+};
+
+/**
+ * Initial screen data stored when the flow was sent
+ * @param {Object} session - Session document
+ * @returns {Object} Initial data
+ */
+const parseSessionData = (session) => {
+  if (!session || !session.session_data) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(session.session_data);
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Everything known about the session: initial data overlaid with the values
+ * submitted on each visited screen, in navigation order
+ * @param {Object} session - Session document
+ * @returns {Object} Session values
+ */
+const getSessionValues = (session) => {
+  if (!session) {
+    return {};
+  }
+
+  const formState = session.form_state || {};
+  return Object.assign(
+    parseSessionData(session),
+    ...session.screen_stack.map((screenId) => formState[screenId] || {})
+  );
+};
+
+const getFormState = (session, screenId) =>
+  (session && session.form_state && session.form_state[screenId]) || {};
+
+/**
+ * Load the session for a request, creating it when Meta starts a flow
+ * this service did not send (or navigate-mode flows that skip INIT)
+ * @param {Object} params
+ * @param {string} params.sessionId - Session ID
+ * @param {Object} params.flow - Resolved flow (null for legacy flows)
+ * @param {Object} params.business - Business of the request, for flows
+ *   without a business_id
+ * @param {string} params.user_id - User from the flow token
+ * @param {string} params.screen - Screen on display
+ * @returns {Object} Session document
+ */
+const ensureSession = async ({
+  sessionId,
+  flow,
+  business,
+  user_id,
+  screen,
+}) => {
+  try {
+    const businessId =
+      (flow && flow.business_id) || (business ? business.id : undefined);
+
+    const session = await FlowSession.findOne({ id: sessionId });
+    if (session) {
+      if (session.status === "abandoned") {
+        console.log(`↩️ User returned to abandoned session ${sessionId}`);
+        session.status = "active";
+        // A later abandonment is detected and notified again
+        session.abandoned_at = undefined;
+        session.abandonment_notified_at = undefined;
+      }
+
+      session.business_id = session.business_id || businessId;
+
+      // Activity keeps the session alive for another TTL period
+      session.last_activity_at = new Date();
+      session.expires_at = getSessionExpiry(flow);
+      return session;
+    }
+
+    return new FlowSession({
+      id: sessionId,
+      // Legacy flows use the flow token as the flow ID
+      flow_id: flow ? flow.id : sessionId,
+      business_id: businessId,
+      user_id,
+      status: "active",
+      current_screen: screen,
+      screen_stack: screen ? [screen] : [],
+      last_activity_at: new Date(),
+      expires_at: getSessionExpiry(flow),
+    });
+  } catch (error) {
+    console.error("Error loading session:", error);
+    throw error;
+  }
+};
+
+const setScreenStack = (session, stack) => {
+  session.screen_stack = stack;
+  session.current_screen = stack[stack.length - 1];
+};
+
+/**
+ * (Re)start navigation on INIT; submitted values are kept so a reopened flow
+ * shows what the user already entered
+ */
+const startSession = (session, screenId) => {
+  session.status = "active";
+  session.completed_at = undefined;
+  setScreenStack(session, [screenId]);
+};
+
+/**
+ * Record the values submitted on a screen and move to the next one
+ * @param {Object} session - Session document
+ * @param {string} screenId - Screen the values were submitted from
+ * @param {Object} values - Submitted values
+ * @param {string} nextScreenId - Screen being shown next (none when completing)
+ */
+const advanceSession = (session, screenId, values, nextScreenId) => {
+  session.form_state = {
+    ...(session.form_state || {}),
+    [screenId]: values || {},
+  };
+
+  // Cut the stack back to the submitting screen in case the client
+  // navigated back without telling us
+  const stack = [...session.screen_stack];
+  const index = stack.lastIndexOf(screenId);
+  if (index === -1) {
+    stack.push(screenId);
+  } else {
+    stack.length = index + 1;
+  }
+
+  if (nextScreenId) {
+    stack.push(nextScreenId);
+  }
+  setScreenStack(session, stack);
+};
+
+/**
+ * Go back from a screen
+ * BACK names the screen the user leaves, or (refresh_on_back) the one
+ * being returned to, so both are handled
+ * @param {Object} session - Session document
+ * @param {string} screenId - Screen from the BACK request
+ * @returns {string|null} Screen to show, or null when the stack has no history
+ */
+const popSession = (session, screenId) => {
+  const stack = [...session.screen_stack];
+  const index = stack.lastIndexOf(screenId);
+
+  if (index === -1) {
+    return null;
+  }
+
+  if (index === stack.length - 1) {
+    if (stack.length === 1) {
+      return null;
+    }
+    stack.pop();
+  } else {
+    stack.length = index + 1;
+  }
+
+  setScreenStack(session, stack);
+  return session.current_screen;
+};
+
+/**
+ * Mark the session completed
+ */
+const completeSession = (session, screenId, values) => {
+  if (screenId) {
+    advanceSession(session, screenId, values);
+  }
+  session.status = "completed";
+  session.completed_at = new Date();
+};
+
+/**
+ * Mark a session expired once its flow token ran out
+ * Completed sessions keep their status.
+ * @param {string} sessionId - Session ID
+ * @returns {boolean} Whether a session was marked
+ */
+const expireSession = async (sessionId) => {
+  try {
+    const result = await FlowSession.updateOne(
+      { id: sessionId, status: { $in: ["active", "abandoned"] } },
+      { $set: { status: "expired", updated_at: new Date() } }
+    );
+    return result.modifiedCount > 0;
+  } catch (error) {
+    console.error("Error expiring session:", error);
+    throw error;
+  }
+};
+
+module.exports = {
+  getSessionSettings,
+  getSessionExpiry,
+  getSession,
+  parseSessionData,
+  getSessionValues,
+  getFormState,
+  ensureSession,
+  startSession,
+  advanceSession,
+  popSession,
+  completeSession,
+  expireSession,
+};
@@ -0,0 +1,391 @@
+const axios = require("axios");
+
+const DEFAULT_BASE_URL = "https://graph.facebook.com";
+const DEFAULT_API_VERSION = "v23.0";
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 10000;
+
+// Graph error codes Meta documents as temporary (throttling, service unavailable)
+const TRANSIENT_ERROR_CODES = [1, 2, 4, 17, 32, 341, 613, 80007, 130429];
+const TRANSIENT_NETWORK_CODES = [
+  "ECONNABORTED",
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "ENOTFOUND",
+];
+
+/**
+ * Error raised for a failed Graph API call
+ * Carries the parsed Graph error body: { message, type, code, error_subcode, fbtrace_id }
+ */
+class MetaGraphError extends Error {
+  constructor(
+    message,
+    { status, code, subcode, type, fbtraceId, details } = {}
+  ) {
+    super(message);
+    this.name = "MetaGraphError";
+    this.status = status;
+    this.code = code;
+    this.subcode = subcode;
+    this.type = type;
+    this.fbtraceId = fbtraceId;
+    this.details = details;
+  }
+
+  // Retrying may succeed: throttling, 5xx or a dropped connection
+  get isTransient() {
+    if (this.details && this.details.is_transient) {
+      return true;
+    }
+    if (TRANSIENT_ERROR_CODES.includes(this.code)) {
+      return true;
+    }
+    if (TRANSIENT_NETWORK_CODES.includes(this.code)) {
+      return true;
+    }
+    return this.status === 429 || this.status >= 500;
+  }
+
+  // The access token is expired, revoked or missing permissions
+  get isAuthError() {
+    return this.type === "OAuthException" || this.code === 190;
+  }
+}
+
+/**
+ * Build a MetaGraphError from a Graph response or a transport failure
+ * @param {Object} params
+ * @param {number} params.status - HTTP status (undefined when no response)
+ * @param {*} params.data - Response body
+ * @param {Error} params.cause - Transport error
+ * @returns {MetaGraphError}
+ */
+const parseGraphError = ({ status, data, cause }) => {
+  const graphError = data && typeof data === "object" ? data.error : undefined;
+
+  if (graphError) {
+    return new MetaGraphError(graphError.message || "Meta Graph API error", {
+      status,
+      code: graphError.code,
+      subcode: graphError.error_subcode,
+      type: graphError.type,
+      fbtraceId: graphError.fbtrace_id,
+      details: graphError,
+    });
+  }
+
+  if (status) {
+    return new MetaGraphError(
+      `Meta Graph API responded with status ${status}`,
+      {
+        status,
+        details: data,
+      }
+    );
+  }
+
+  return new MetaGraphError(
+    `Meta Graph API request failed: ${cause ? cause.message : "no response"}`,
+    { code: cause && cause.code }
+  );
+};
+
+// Default transport - resolves for every HTTP status so the client parses errors itself
+const axiosTransport = (request) =>
+  axios.request({ ...request, validateStatus: () => true });
+
+const buildMultipartBody = (fields) => {
+  const body = new FormData();
+  for (const [name, value] of Object.entries(fields)) {
+    if (value && typeof value === "object" && "content" in value) {
+      body.append(
+        name,
+        new Blob([value.content], {
+          type: value.contentType || "application/octet-stream",
+        }),
+        value.filename || name
+      );
+    } else if (value !== undefined) {
+      body.append(name, String(value));
+    }
+  }
+  return body;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Client for the Meta Graph API
+ * The base URL, API version and transport are configurable so tests and local
+ * onboarding can point at scripts/meta-graph-stub.js instead of graph.facebook.com
+ */
+class MetaGraphClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.accessToken - Default access token
+   * @param {string} options.baseUrl - Defaults to META_GRAPH_BASE_URL or graph.facebook.com
+   * @param {string} options.apiVersion - Defaults to META_GRAPH_API_VERSION or v23.0
+   * @param {number} options.maxRetries - Retries for transient errors
+   * @param {number} options.retryDelayMs - Base delay for exponential backoff
+   * @param {number} options.timeoutMs - Request timeout
+   * @param {Function} options.transport - (request) => Promise<{ status, data, headers }>
+   */
+  constructor({
+    accessToken,
+    baseUrl = process.env.META_GRAPH_BASE_URL || DEFAULT_BASE_URL,
+    apiVersion = process.env.META_GRAPH_API_VERSION || DEFAULT_API_VERSION,
+    maxRetries = parseInt(
+      process.env.META_GRAPH_MAX_RETRIES || String(DEFAULT_MAX_RETRIES)
+    ),
+    retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    transport = axiosTransport,
+  } = {}) {
+    this.accessToken = accessToken;
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.apiVersion = apiVersion;
+    this.maxRetries = maxRetries;
+    this.retryDelayMs = retryDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.transport = transport;
+  }
+
+  /**
+   * Full URL for a Graph path, e.g. "123/whatsapp_business_encryption"
+   */
+  buildUrl(path) {
+    return `${this.baseUrl}/${this.apiVersion}/${String(path).replace(
+      /^\/+/,
+      ""
+    )}`;
+  }
+
+  /**
+   * Send a Graph API request, retrying transient failures with backoff
+   * @param {Object} params
+   * @param {string} params.method - HTTP method
+   * @param {string} params.path - Graph path below the version segment
+   * @param {Object} params.params - Query string parameters
+   * @param {Object} params.data - JSON body
+   * @param {Object} params.form - Form fields, sent as x-www-form-urlencoded
+   * @param {Object} params.multipart - Form fields sent as multipart/form-data;
+   *   a { content, filename, contentType } value is sent as a file
+   * @param {string} params.accessToken - Overrides the client token
+   * @param {number} params.maxRetries - Overrides the client retry count
+   * @returns {*} Response body
+   */
+  async request({
+    method = "GET",
+    path,
+    params,
+    data,
+    form,
+    multipart,
+    accessToken,
+    maxRetries = this.maxRetries,
+  }) {
+    const token = accessToken || this.accessToken;
+    const request = {
+      method,
+      url: this.buildUrl(path),
+      params,
+      timeout: this.timeoutMs,
+      headers: {},
+    };
+
+    if (token) {
+      request.headers.Authorization = `Bearer ${token}`;
+    }
+
+    if (multipart) {
+      // The transport sets the multipart boundary header
+      request.data = buildMultipartBody(multipart);
+    } else if (form) {
+      request.data = new URLSearchParams(form).toString();
+      request.headers["Content-Type"] = "application/x-www-form-urlencoded";
+    } else if (data !== undefined) {
+      request.data = data;
+      request.headers["Content-Type"] = "application/json";
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      let error;
+      let retryAfterMs;
+
+      try {
+        const response = await this.transport(request);
+        if (response.status < 400) {
+          return response.data;
+        }
+
+        error = parseGraphError(response);
+        const retryAfter = Number(
+          response.headers && response.headers["retry-after"]
+        );
+        if (retryAfter > 0) {
+          retryAfterMs = retryAfter * 1000;
+        }
+      } catch (cause) {
+        error =
+          cause instanceof MetaGraphError ? cause : parseGraphError({ cause });
+      }
+
+      if (!error.isTransient || attempt >= maxRetries) {
+        console.error(
+          `❌ Meta Graph ${method} ${request.url} failed:`,
+          error.message
+        );
+        throw error;
+      }
+
+      const delay = Math.min(
+        retryAfterMs ||
+          this.retryDelayMs * 2 ** attempt * (1 + Math.random() * 0.25),
+        MAX_RETRY_DELAY_MS
+      );
+      console.warn(
+        `⚠️ Meta Graph ${method} ${request.url} failed (${
+          error.message
+        }), retrying in ${Math.round(delay)}ms`
+      );
+      await sleep(delay);
+    }
+  }
+
+  get(path, options = {}) {
+    return this.request({ ...options, method: "GET", path });
+  }
+
+  post(path, options = {}) {
+    return this.request({ ...options, method: "POST", path });
+  }
+
+  delete(path, options = {}) {
+    return this.request({ ...options, method: "DELETE", path });
+  }
+
+  /**
+   * Upload the business public key used to encrypt Flow data exchanges
+   * @param {string} phoneNumberId - WhatsApp phone number ID
+   * @param {string} publicKey - Public key in PEM format
+   * @returns {Object} Graph response ({ success: true })
+   */
+  uploadBusinessPublicKey(phoneNumberId, publicKey) {
+    return this.post(`${phoneNumberId}/whatsapp_business_encryption`, {
+      form: { business_public_key: publicKey },
+    });
+  }
+
+  /**
+   * Read the public key Meta currently holds for a phone number
+   * @param {string} phoneNumberId - WhatsApp phone number ID
+   * @returns {Object} { business_public_key, business_public_key_signature_status }
+   */
+  async getBusinessPublicKey(phoneNumberId) {
+    const response = await this.get(
+      `${phoneNumberId}/whatsapp_business_encryption`
+    );
+    return (response && response.data && response.data[0]) || {};
+  }
+
+  /**
+   * Send a WhatsApp message through the Cloud API
+   * Not retried on connection errors, as a replay could deliver it twice
+   * @param {string} phoneNumberId - Sending phone number ID
+   * @param {Object} message - Message body without messaging_product
+   * @returns {Object} { contacts, messages: [{ id }] }
+   */
+  sendMessage(phoneNumberId, message) {
+    return this.post(`${phoneNumberId}/messages`, {
+      data: { messaging_product: "whatsapp", ...message },
+      maxRetries: 0,
+    });
+  }
+
+  /**
+   * Create a flow under a WhatsApp Business Account
+   * Not retried on connection errors, as a replay could create a duplicate flow
+   * @param {string} wabaId - WhatsApp Business Account ID
+   * @param {Object} params
+   * @param {string} params.name - Flow name
+   * @param {Array} params.categories - Meta flow categories (e.g. ["SIGN_UP"])
+   * @param {string} params.endpointUri - Data endpoint URL
+   * @param {string} params.cloneFlowId - Existing flow to copy
+   * @returns {Object} { id }
+   */
+  createFlow(wabaId, { name, categories, endpointUri, cloneFlowId }) {
+    return this.post(`${wabaId}/flows`, {
+      data: {
+        name,
+        categories,
+        endpoint_uri: endpointUri,
+        clone_flow_id: cloneFlowId,
+      },
+      maxRetries: 0,
+    });
+  }
+
+  /**
+   * Upload the flow JSON asset
+   * @param {string} metaFlowId - Meta flow ID
+   * @param {Object|string} flowJson - Flow JSON document
+   * @returns {Object} { success, validation_errors }
+   */
+  uploadFlowJson(metaFlowId, flowJson) {
+    return this.post(`${metaFlowId}/assets`, {
+      multipart: {
+        name: "flow.json",
+        asset_type: "FLOW_JSON",
+        file: {
+          content:
+            typeof flowJson === "string" ? flowJson : JSON.stringify(flowJson),
+          filename: "flow.json",
+          contentType: "application/json",
+        },
+      },
+    });
+  }
+
+  publishFlow(metaFlowId) {
+    return this.post(`${metaFlowId}/publish`);
+  }
+
+  deprecateFlow(metaFlowId) {
+    return this.post(`${metaFlowId}/deprecate`);
+  }
+
+  /**
+   * Read a flow's status and validation errors
+   * @param {string} metaFlowId - Meta flow ID
+   * @returns {Object} { id, name, status, categories, validation_errors, ... }
+   */
+  getFlow(metaFlowId) {
+    return this.get(metaFlowId, {
+      params: {
+        fields:
+          "id,name,status,categories,validation_errors,json_version,endpoint_uri",
+      },
+    });
+  }
+}
+
+/**
+ * Create a Graph client for an access token with the configured defaults
+ * @param {string} accessToken - Meta access token
+ * @param {Object} options - Extra MetaGraphClient options
+ * @returns {MetaGraphClient}
+ */
+const createMetaGraphClient = (accessToken, options = {}) =>
+  new MetaGraphClient({ ...options, accessToken });
+
+module.exports = {
+  MetaGraphClient,
+  MetaGraphError,
+  createMetaGraphClient,
+  parseGraphError,
+};
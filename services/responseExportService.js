@@ -0,0 +1,326 @@
+const { once } = require("events");
+const ExcelJS = require("exceljs");
+const FlowSubmission = require("../models/FlowSubmission");
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  jsonl: { contentType: "application/x-ndjson", extension: "jsonl" },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+};
+
+// Columns every row starts with, before the submitted fields
+const SESSION_COLUMNS = [
+  "session_id",
+  "user_id",
+  "status",
+  "started_at",
+  "submitted_at",
+  "last_screen",
+];
+
+const submissionFilter = (flowId) => ({ flow_id: flowId });
+
+/**
+ * Pipeline producing one document per session, oldest first:
+ * { session_id, user_id, status, started_at, submitted_at, last_screen, values }
+ * Completed sessions use their final submission, others the screen
+ * submissions merged in order.
+ */
+const buildSessionPipeline = (flowId, { from, to, status, screen } = {}) => {
+  const sessionMatch = {};
+  if (from || to) {
+    sessionMatch.started_at = {};
+    if (from) {
+      sessionMatch.started_at.$gte = from;
+    }
+    if (to) {
+      sessionMatch.started_at.$lte = to;
+    }
+  }
+  if (status) {
+    sessionMatch.status = status;
+  }
+  if (screen) {
+    sessionMatch.screen_ids = screen;
+  }
+
+  return [
+    { $match: submissionFilter(flowId) },
+    { $sort: { session_id: 1, created_at: 1 } },
+    {
+      $group: {
+        _id: "$session_id",
+        user_id: { $last: "$user_id" },
+        started_at: { $min: "$created_at" },
+        submitted_at: { $max: "$created_at" },
+        screen_ids: { $addToSet: "$screen_id" },
+        screens: {
+          $push: {
+            kind: "$kind",
+            screen_id: "$screen_id",
+            values: "$values",
+          },
+        },
+      },
+    },
+    {
+      $lookup: {
+        from: "flowsessions",
+        localField: "_id",
+        foreignField: "id",
+        pipeline: [{ $project: { _id: 0, status: 1 } }],
+        as: "session",
+      },
+    },
+    {
+      $addFields: {
+        final: {
+          $first: {
+            $filter: {
+              input: "$screens",
+              cond: { $eq: ["$$this.kind", "final"] },
+            },
+          },
+        },
+      },
+    },
+    {
+      // Sessions deleted by their TTL are only known by their submissions
+      $addFields: {
+        status: {
+          $ifNull: [
+            { $first: "$session.status" },
+            { $cond: ["$final", "completed", "expired"] },
+          ],
+        },
+      },
+    },
+    { $match: sessionMatch },
+    { $sort: { started_at: 1 } },
+    {
+      $project: {
+        _id: 0,
+        session_id: "$_id",
+        user_id: 1,
+        status: 1,
+        started_at: 1,
+        submitted_at: 1,
+        last_screen: { $last: "$screens.screen_id" },
+        final: 1,
+        screens: 1,
+      },
+    },
+  ];
+};
+
+const getSessionValues = (row) => {
+  if (row.final) {
+    return row.final.values || {};
+  }
+
+  return Object.assign(
+    {},
+    ...row.screens
+      .filter((submission) => submission.kind === "screen")
+      .map((submission) => submission.values || {})
+  );
+};
+
+/**
+ * Field columns of the export, in the order the fields were first submitted
+ * Final submissions count too: terminal screens completed by COMPLETE or an
+ * nfm_reply have no screen submission of their own.
+ * @param {string} flowId - Flow ID
+ * @returns {Array} Field names
+ */
+const getExportFields = async (flowId) => {
+  const fields = await FlowSubmission.aggregate([
+    { $match: submissionFilter(flowId) },
+    { $project: { created_at: 1, values: { $objectToArray: "$values" } } },
+    { $unwind: "$values" },
+    {
+      $group: {
+        _id: "$values.k",
+        first_seen: { $min: "$created_at" },
+      },
+    },
+    { $sort: { first_seen: 1, _id: 1 } },
+  ]).allowDiskUse(true);
+
+  return fields.map((field) => field._id);
+};
+
+/**
+ * Stream the export rows, one per session, without loading them all
+ * @param {string} flowId - Flow ID
+ * @param {Object} filters - from, to (Dates), status, screen
+ * @returns {AsyncIterable} { session_id, user_id, status, started_at,
+ *   submitted_at, last_screen, values }
+ */
+async function* streamExportRows(flowId, filters) {
+  const cursor = FlowSubmission.aggregate(buildSessionPipeline(flowId, filters))
+    .allowDiskUse(true)
+    .cursor({ batchSize: 200 });
+
+  try {
+    for await (const row of cursor) {
+      const { final, screens, ...session } = row;
+      yield { ...session, values: getSessionValues(row) };
+    }
+  } finally {
+    // Also runs when the writer gives up on a disconnected client
+    await cursor.close();
+  }
+}
+
+// Flat cell value for CSV and XLSX
+const toCellValue = (value, { keepDates = false } = {}) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (value instanceof Date) {
+    return keepDates ? value : value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => toCellValue(item)).join("; ");
+  }
+  if (typeof value === "object") {
+    return JSON.stringify(value);
+  }
+  return value;
+};
+
+const escapeCsv = (value) => {
+  let text = String(toCellValue(value));
+  // Keep user input from running as a formula when the file is opened
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const assertOpen = (stream) => {
+  if (stream.destroyed) {
+    throw new Error("Export stream closed by the client");
+  }
+};
+
+// Respect backpressure so slow clients do not buffer the whole export;
+// a client that disconnects while we wait ends the export
+const write = async (stream, chunk) => {
+  assertOpen(stream);
+  if (stream.write(chunk)) {
+    return;
+  }
+
+  const controller = new AbortController();
+  const { signal } = controller;
+  try {
+    await Promise.race([
+      once(stream, "drain", { signal }),
+      once(stream, "close", { signal }).then(() => assertOpen(stream)),
+    ]);
+  } finally {
+    controller.abort();
+  }
+};
+
+const toColumns = (row, fields) => [
+  ...SESSION_COLUMNS.map((column) => row[column]),
+  ...fields.map((field) => row.values[field]),
+];
+
+const writeCsv = async (stream, rows, fields) => {
+  await write(
+    stream,
+    [...SESSION_COLUMNS, ...fields].map(escapeCsv).join(",") + "\r\n"
+  );
+  for await (const row of rows) {
+    await write(
+      stream,
+      toColumns(row, fields).map(escapeCsv).join(",") + "\r\n"
+    );
+  }
+  stream.end();
+};
+
+const writeJsonl = async (stream, rows) => {
+  for await (const row of rows) {
+    await write(stream, JSON.stringify(row) + "\n");
+  }
+  stream.end();
+};
+
+const writeXlsx = async (stream, rows, fields) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream,
+    useSharedStrings: false,
+    useStyles: true,
+  });
+  const sheet = workbook.addWorksheet("Responses");
+  sheet.columns = [...SESSION_COLUMNS, ...fields].map((column) => ({
+    header: column,
+    key: column,
+    width: Math.min(Math.max(column.length + 2, 12), 40),
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  for await (const row of rows) {
+    assertOpen(stream);
+    sheet
+      .addRow(
+        toColumns(row, fields).map((value) =>
+          toCellValue(value, { keepDates: true })
+        )
+      )
+      .commit();
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+/**
+ * Write a flow's responses to a stream, one row per session with a column
+ * per submitted field
+ * @param {Object} params
+ * @param {string} params.flowId - Flow ID
+ * @param {string} params.format - csv, jsonl or xlsx
+ * @param {Object} params.filters - from, to (Dates), status, screen
+ * @param {Writable} params.stream - Destination, ended when the export is done
+ */
+const exportFlowResponses = async ({ flowId, format, filters, stream }) => {
+  try {
+    if (!EXPORT_FORMATS[format]) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const rows = streamExportRows(flowId, filters);
+
+    if (format === "jsonl") {
+      await writeJsonl(stream, rows);
+      return;
+    }
+
+    const fields = await getExportFields(flowId);
+    if (format === "csv") {
+      await writeCsv(stream, rows, fields);
+    } else {
+      await writeXlsx(stream, rows, fields);
+    }
+  } catch (error) {
+    console.error("Error exporting flow responses:", error);
+    throw error;
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportFlowResponses,
+  streamExportRows,
+  getExportFields,
+};
@@ -0,0 +1,324 @@
+const { getValueAtPath, interpolate } = require("../utils/template");
+const { evaluateCondition } = require("./flowDefinition");
+
+/**
+ * Item limits and text lengths accepted by Meta Flow components
+ */
+const COMPONENT_LIMITS = {
+  Dropdown: { maxItems: 200, title: 30, description: 300, metadata: 20 },
+  RadioButtonsGroup: {
+    maxItems: 20,
+    title: 30,
+    description: 300,
+    metadata: 20,
+  },
+  CheckboxGroup: { maxItems: 20, title: 30, description: 300, metadata: 20 },
+  ChipsSelector: { maxItems: 20, title: 30 },
+  NavigationList: { maxItems: 20, title: 30, description: 20, metadata: 80 },
+  EmbeddedLink: { text: 25 },
+};
+
+// Field candidates used when a mapping does not name a source field
+const DEFAULT_FIELDS = {
+  id: ["id", "value", "key", "code"],
+  title: ["title", "label", "name", "text"],
+  description: ["description", "subtitle"],
+  text: ["text", "title", "label", "name"],
+  url: ["url", "href", "link"],
+};
+
+/**
+ * Resolve one mapped field from a source item
+ * A field spec is either a path string or
+ * { path, template, default, type, max_length }
+ * @param {Object} item - Source item from the API response
+ * @param {string|Object} spec - Field specification
+ * @param {string} fieldName - Target field name (for default candidates)
+ * @param {Object} defaults - Mapping-level default values
+ * @returns {*} Field value, or undefined
+ */
+const resolveField = (item, spec, fieldName, defaults = {}) => {
+  const fieldSpec = typeof spec === "string" ? { path: spec } : spec || {};
+
+  let value;
+  if (fieldSpec.template) {
+    value = interpolate(fieldSpec.template, item);
+  } else if (fieldSpec.path) {
+    value = getValueAtPath(item, fieldSpec.path);
+  } else if (item !== null && typeof item === "object") {
+    const candidate = (DEFAULT_FIELDS[fieldName] || []).find(
+      (key) => item[key] !== undefined && item[key] !== null
+    );
+    value = candidate ? item[candidate] : undefined;
+  } else if (fieldName === "id" || fieldName === "title") {
+    // Primitive items ("Red", 42) map to both id and title
+    value = item;
+  }
+
+  if (value === undefined || value === null || value === "") {
+    value =
+      fieldSpec.default !== undefined ? fieldSpec.default : defaults[fieldName];
+  }
+
+  return coerceValue(value, fieldSpec);
+};
+
+/**
+ * Coerce a mapped value to the configured type and length
+ */
+const coerceValue = (value, { type = "string", max_length } = {}) => {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+
+  switch (type) {
+    case "number": {
+      const number = Number(value);
+      return Number.isFinite(number) ? number : undefined;
+    }
+    case "boolean":
+      return value === true || value === "true" || value === 1 || value === "1";
+    case "array":
+      return Array.isArray(value) ? value.map(String) : [String(value)];
+    default: {
+      const text =
+        typeof value === "object"
+          ? JSON.stringify(value)
+          : String(value).trim();
+      return max_length ? truncate(text, max_length) : text;
+    }
+  }
+};
+
+const truncate = (text, maxLength) =>
+  text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+
+// Drop undefined and empty optional values so Meta never sees nulls
+const compact = (object) =>
+  Object.fromEntries(
+    Object.entries(object).filter(
+      ([, value]) => value !== undefined && value !== null && value !== ""
+    )
+  );
+
+const toSpec = (spec) => (typeof spec === "string" ? { path: spec } : spec);
+
+// Returns a reader for mapped text fields, truncated to the component limit
+const fieldReader =
+  (item, { fields = {}, defaults = {} }) =>
+  (name, maxLength) => {
+    const value = resolveField(item, fields[name], name, defaults);
+    return typeof value === "string" && maxLength
+      ? truncate(value, maxLength)
+      : value;
+  };
+
+const mapOption = (item, mapping, limits) => {
+  const { fields = {}, defaults = {} } = mapping;
+  const text = fieldReader(item, mapping);
+
+  return compact({
+    id: text("id"),
+    title: text("title", limits.title),
+    description: limits.description
+      ? text("description", limits.description)
+      : undefined,
+    metadata:
+      limits.metadata && fields.metadata
+        ? text("metadata", limits.metadata)
+        : undefined,
+    enabled:
+      fields.enabled !== undefined
+        ? resolveField(
+            item,
+            { ...toSpec(fields.enabled), type: "boolean" },
+            "enabled",
+            defaults
+          )
+        : undefined,
+  });
+};
+
+const mapChip = (item, mapping, limits) => {
+  const { id, title, enabled } = mapOption(item, mapping, {
+    title: limits.title,
+  });
+  return compact({ id, title, enabled });
+};
+
+const mapNavigationItem = (item, mapping, limits) => {
+  const { fields = {}, defaults = {} } = mapping;
+  const text = fieldReader(item, mapping);
+
+  const mainContent = compact({
+    title: text("title", limits.title),
+    description: fields.description
+      ? text("description", limits.description)
+      : undefined,
+    metadata: fields.metadata ? text("metadata", limits.metadata) : undefined,
+  });
+
+  const start = fields.image
+    ? compact({
+        image: text("image"),
+        "alt-text": fields.image_alt_text ? text("image_alt_text") : undefined,
+      })
+    : {};
+
+  const end = compact({
+    title: fields.end_title ? text("end_title", 10) : undefined,
+    description: fields.end_description
+      ? text("end_description", 10)
+      : undefined,
+    metadata: fields.end_metadata ? text("end_metadata", 10) : undefined,
+  });
+
+  const tags = fields.tags
+    ? resolveField(
+        item,
+        { ...toSpec(fields.tags), type: "array" },
+        "tags",
+        defaults
+      )
+    : undefined;
+
+  return compact({
+    id: text("id"),
+    "main-content": mainContent.title ? mainContent : undefined,
+    start: start.image ? start : undefined,
+    end: Object.keys(end).length > 0 ? end : undefined,
+    badge: fields.badge ? text("badge", 15) : undefined,
+    tags: tags && tags.length > 0 ? tags.slice(0, 3) : undefined,
+  });
+};
+
+const mapEmbeddedLink = (item, mapping, limits) => {
+  const text = fieldReader(item, mapping);
+
+  return compact({
+    text: text("text", limits.text),
+    url: text("url"),
+  });
+};
+
+// An item is only sent when it has everything the component requires
+const isValidItem = (component, item) => {
+  switch (component) {
+    case "NavigationList":
+      return !!(item.id && item["main-content"] && item["main-content"].title);
+    case "EmbeddedLink":
+      return !!item.text;
+    default:
+      return !!(item.id && item.title);
+  }
+};
+
+const ITEM_MAPPERS = {
+  Dropdown: mapOption,
+  RadioButtonsGroup: mapOption,
+  CheckboxGroup: mapOption,
+  ChipsSelector: mapChip,
+  NavigationList: mapNavigationItem,
+  EmbeddedLink: mapEmbeddedLink,
+};
+
+/**
+ * Shape API items into the data format of a Meta Flow component
+ * @param {Array} items - Items selected from the API response
+ * @param {Object} mapping - Mapping configuration
+ * @param {string} mapping.component - Dropdown, RadioButtonsGroup, CheckboxGroup,
+ *   ChipsSelector, NavigationList, EmbeddedLink or Raw
+ * @param {Object} mapping.fields - Target field -> source path or field spec
+ * @param {Object} mapping.defaults - Default values per target field
+ * @param {Array} mapping.filter - Conditions every source item must match
+ * @param {number} mapping.limit - Maximum number of items
+ * @returns {Array|Object} Component data (an object for EmbeddedLink)
+ */
+const mapResponseItems = (items, mapping = {}) => {
+  const component = mapping.component || "Dropdown";
+
+  if (component === "Raw") {
+    return items;
+  }
+
+  const mapItem = ITEM_MAPPERS[component];
+  if (!mapItem) {
+    throw new Error(`Unsupported mapping component: ${component}`);
+  }
+
+  const limits = COMPONENT_LIMITS[component];
+  const filters = mapping.filter || [];
+
+  const filteredItems = items.filter((item) =>
+    filters.every((condition) => evaluateCondition(condition, item))
+  );
+
+  const seenIds = new Set();
+  const mappedItems = [];
+
+  for (const item of filteredItems) {
+    const mapped = mapItem(item, mapping, limits);
+    if (!isValidItem(component, mapped)) {
+      continue;
+    }
+
+    // Duplicate IDs are rejected by the client
+    if (mapped.id !== undefined) {
+      if (seenIds.has(mapped.id)) {
+        continue;
+      }
+      seenIds.add(mapped.id);
+    }
+
+    mappedItems.push(mapped);
+  }
+
+  if (component === "EmbeddedLink") {
+    return mappedItems[0] || mapping.defaults || {};
+  }
+
+  const maxItems = Math.min(
+    Number(mapping.limit) || limits.maxItems,
+    limits.maxItems
+  );
+  return mappedItems.slice(0, maxItems);
+};
+
+/**
+ * Validate a mapping configuration
+ * @param {Object} mapping - Mapping configuration
+ * @returns {Array} List of validation error messages (empty if valid)
+ */
+const validateMappingConfig = (mapping) => {
+  if (mapping === undefined || mapping === null) {
+    return [];
+  }
+
+  const errors = [];
+  const component = mapping.component || "Dropdown";
+
+  if (component !== "Raw" && !ITEM_MAPPERS[component]) {
+    errors.push(
+      `mapping.component must be one of ${[
+        ...Object.keys(ITEM_MAPPERS),
+        "Raw",
+      ].join(", ")}`
+    );
+  }
+
+  if (mapping.fields !== undefined && typeof mapping.fields !== "object") {
+    errors.push("mapping.fields must be an object");
+  }
+
+  if (mapping.filter !== undefined && !Array.isArray(mapping.filter)) {
+    errors.push("mapping.filter must be an array of conditions");
+  }
+
+  return errors;
+};
+
+module.exports = {
+  COMPONENT_LIMITS,
+  mapResponseItems,
+  validateMappingConfig,
+};
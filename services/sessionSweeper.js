@@ -0,0 +1,217 @@
+const Flow = require("../models/Flow");
+const FlowSession = require("../models/FlowSession");
+const { getSessionSettings } = require("./flowSessionService");
+const { incrementCounter } = require("../utils/metrics");
+const { queueFlowEvent, getSessionEventData } = require("./webhookService");
+
+const SWEEP_INTERVAL_SECONDS = parseInt(
+  process.env.SESSION_SWEEP_INTERVAL_SECONDS || "60"
+);
+const SWEEP_BATCH_SIZE = 100;
+
+let sweepTimer = null;
+let sweepRunning = false;
+
+/**
+ * Queue the flow.abandoned event for the business's webhook subscriptions and
+ * the flow's abandonment_webhook_url (or the server default)
+ * @param {Object} session - Abandoned session
+ * @param {Object} flow - Flow document (optional)
+ * @returns {number} Deliveries queued
+ */
+const notifySessionAbandoned = async (session, flow) => {
+  const { abandonment_webhook_url } = getSessionSettings(flow);
+
+  const queued = await queueFlowEvent(
+    "flow.abandoned",
+    {
+      ...getSessionEventData(session),
+      last_screen: session.last_screen,
+      screen_stack: session.screen_stack,
+      abandoned_at: session.abandoned_at,
+      last_activity_at: session.last_activity_at,
+    },
+    { urls: abandonment_webhook_url ? [abandonment_webhook_url] : [] }
+  );
+
+  await FlowSession.updateOne(
+    { id: session.id },
+    { $set: { abandonment_notified_at: new Date() } }
+  );
+  return queued;
+};
+
+/**
+ * Mark active sessions idle for longer than the cutoff as abandoned
+ * The update is conditional so a session the user resumed in the meantime,
+ * or one another instance already swept, is left alone.
+ * @param {Object} filter - Extra session filter (flow selection)
+ * @param {number} abandonAfterMinutes - Inactivity threshold
+ * @returns {Array} Abandoned sessions
+ */
+const abandonIdleSessions = async (filter, abandonAfterMinutes) => {
+  const cutoff = new Date(Date.now() - abandonAfterMinutes * 60 * 1000);
+  const idleFilter = {
+    ...filter,
+    status: "active",
+    last_activity_at: { $lt: cutoff },
+  };
+
+  const candidates = await FlowSession.find(idleFilter)
+    .select("id")
+    .limit(SWEEP_BATCH_SIZE)
+    .lean();
+
+  const abandoned = [];
+  for (const candidate of candidates) {
+    const session = await FlowSession.findOneAndUpdate(
+      { ...idleFilter, id: candidate.id },
+      [
+        {
+          $set: {
+            status: "abandoned",
+            abandoned_at: "$$NOW",
+            last_screen: "$current_screen",
+          },
+        },
+      ],
+      { new: true }
+    );
+
+    if (session) {
+      abandoned.push(session);
+    }
+  }
+
+  return abandoned;
+};
+
+/**
+ * Mark sessions past their expires_at as expired
+ * The TTL index deletes them shortly after; until then they show as expired
+ * rather than active or abandoned.
+ * @returns {number} Sessions marked expired
+ */
+const expireLapsedSessions = async () => {
+  const result = await FlowSession.updateMany(
+    {
+      status: { $in: ["active", "abandoned"] },
+      expires_at: { $lte: new Date() },
+    },
+    { $set: { status: "expired", updated_at: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * One sweep: expire lapsed sessions, abandon idle sessions, then queue their
+ * flow.abandoned events
+ * Flows with their own abandon_after_minutes are swept separately from the
+ * rest, which use SESSION_ABANDON_AFTER_MINUTES.
+ * @returns {Object} { expired, abandoned, notified }
+ */
+const sweepAbandonedSessions = async () => {
+  try {
+    const expired = await expireLapsedSessions();
+    if (expired > 0) {
+      console.log(`⌛ ${expired} session(s) expired`);
+      incrementCounter("flow_sessions_expired_total", {}, expired);
+    }
+
+    const customFlows = await Flow.find({
+      "session_settings.abandon_after_minutes": { $exists: true, $ne: null },
+    });
+    const customFlowIds = customFlows.map((flow) => flow.id);
+
+    const abandoned = await abandonIdleSessions(
+      { flow_id: { $nin: customFlowIds } },
+      getSessionSettings(null).abandon_after_minutes
+    );
+
+    for (const flow of customFlows) {
+      abandoned.push(
+        ...(await abandonIdleSessions(
+          { flow_id: flow.id },
+          getSessionSettings(flow).abandon_after_minutes
+        ))
+      );
+    }
+
+    for (const session of abandoned) {
+      console.log(
+        `💤 Session ${session.id} abandoned on screen ${
+          session.last_screen || "unknown"
+        }`
+      );
+      incrementCounter("flow_sessions_abandoned_total", {
+        flow_id: session.flow_id,
+        last_screen: session.last_screen || "unknown",
+      });
+    }
+
+    // Includes sessions whose events could not be queued on an earlier sweep
+    const pending = await FlowSession.find({
+      status: "abandoned",
+      abandonment_notified_at: null,
+    })
+      .sort({ abandoned_at: 1 })
+      .limit(SWEEP_BATCH_SIZE);
+
+    const flows = new Map(customFlows.map((flow) => [flow.id, flow]));
+    let notified = 0;
+    for (const session of pending) {
+      if (!flows.has(session.flow_id)) {
+        flows.set(session.flow_id, await Flow.findOne({ id: session.flow_id }));
+      }
+      await notifySessionAbandoned(session, flows.get(session.flow_id));
+      notified++;
+    }
+
+    return { expired, abandoned: abandoned.length, notified };
+  } catch (error) {
+    console.error("Error sweeping abandoned sessions:", error);
+    throw error;
+  }
+};
+
+/**
+ * Run the sweeper every SESSION_SWEEP_INTERVAL_SECONDS (0 disables it)
+ */
+const startSessionSweeper = (intervalSeconds = SWEEP_INTERVAL_SECONDS) => {
+  if (sweepTimer || !intervalSeconds) {
+    return;
+  }
+
+  sweepTimer = setInterval(async () => {
+    // Skip a tick rather than overlap a slow sweep
+    if (sweepRunning) {
+      return;
+    }
+
+    sweepRunning = true;
+    try {
+      await sweepAbandonedSessions();
+    } catch (error) {
+      // Already logged, retry on the next tick
+    } finally {
+      sweepRunning = false;
+    }
+  }, intervalSeconds * 1000);
+  sweepTimer.unref();
+
+  console.log(`🧹 Session sweeper running every ${intervalSeconds}s`);
+};
+
+const stopSessionSweeper = () => {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+};
+
+module.exports = {
+  sweepAbandonedSessions,
+  notifySessionAbandoned,
+  startSessionSweeper,
+  stopSessionSweeper,
+};
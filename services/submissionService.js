@@ -0,0 +1,255 @@
+const { v4: uuidv4 } = require("uuid");
+const FlowSubmission = require("../models/FlowSubmission");
+const FlowResponse = require("../models/FlowResponse");
+const { getScreenFieldTypes } = require("./flowDefinition");
+const {
+  emitFlowEvent,
+  getSessionEventData,
+  getSubmissionEventData,
+} = require("./webhookService");
+
+const ISO_DATE =
+  /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const EPOCH_MILLIS = /^\d{10,}$/;
+
+const isMediaItem = (item) =>
+  !!item && typeof item === "object" && typeof item.media_id === "string";
+
+const isMediaList = (value) =>
+  Array.isArray(value) && value.length > 0 && value.every(isMediaItem);
+
+const toDate = (value) => {
+  const date =
+    typeof value === "number" || EPOCH_MILLIS.test(value)
+      ? new Date(Number(value))
+      : new Date(value);
+  return isNaN(date.getTime()) ? value : date;
+};
+
+/**
+ * Convert a submitted value to its type
+ * Meta sends most component values as strings; the component type from the
+ * Flow JSON decides the conversion, ISO dates are recognised without one.
+ * @param {*} value - Submitted value
+ * @param {string} type - "number", "date", "array", "boolean" or undefined
+ * @returns {*} Typed value
+ */
+const normalizeValue = (value, type) => {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) =>
+      normalizeValue(item, type === "array" ? undefined : type)
+    );
+  }
+
+  if (typeof value === "object") {
+    // CalendarPicker ranges arrive as { start_date, end_date }
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        normalizeValue(item, type),
+      ])
+    );
+  }
+
+  switch (type) {
+    case "number": {
+      const number = typeof value === "string" ? Number(value) : value;
+      return value !== "" && Number.isFinite(number) ? number : value;
+    }
+    case "date":
+      return typeof value === "string" || typeof value === "number"
+        ? toDate(value)
+        : value;
+    case "boolean":
+      return value === "true" ? true : value === "false" ? false : value;
+    case "array":
+      return [value];
+    default:
+      return typeof value === "string" && ISO_DATE.test(value)
+        ? toDate(value)
+        : value;
+  }
+};
+
+/**
+ * Type the values of a screen submission and pull out picked media
+ * @param {Object} payload - Submitted values
+ * @param {Object} fieldTypes - Field types from getScreenFieldTypes
+ * @returns {Object} { values, media }
+ */
+const normalizeSubmission = (payload, fieldTypes = {}) => {
+  const values = {};
+  const media = [];
+
+  for (const [fieldName, value] of Object.entries(payload || {})) {
+    if (fieldTypes[fieldName] === "media" || isMediaList(value)) {
+      const items = (Array.isArray(value) ? value : [value]).filter(
+        isMediaItem
+      );
+      for (const item of items) {
+        media.push({
+          field_name: fieldName,
+          media_id: item.media_id,
+          file_name: item.file_name,
+          cdn_url: item.cdn_url,
+          encryption_metadata: item.encryption_metadata
+            ? JSON.stringify(item.encryption_metadata)
+            : undefined,
+        });
+      }
+      values[fieldName] = items.map((item) => item.media_id);
+      continue;
+    }
+
+    values[fieldName] = normalizeValue(value, fieldTypes[fieldName]);
+  }
+
+  return { values, media };
+};
+
+const getAttribution = (session) => ({
+  business_id: session.business_id,
+  flow_id: session.flow_id,
+  session_id: session.id,
+  user_id: session.user_id,
+});
+
+/**
+ * Store the values submitted on one screen
+ * Also writes the per-field FlowResponse rows in a single insert.
+ * @param {Object} params
+ * @param {Object} params.session - Session the values were submitted in
+ * @param {Object} params.flow - Resolved flow (null for legacy flows)
+ * @param {string} params.screenId - Screen the values were submitted from
+ * @param {Object} params.values - Submitted values
+ * @returns {Object} FlowSubmission document
+ */
+const recordScreenSubmission = async ({ session, flow, screenId, values }) => {
+  try {
+    const normalized = normalizeSubmission(
+      values,
+      getScreenFieldTypes(flow, screenId)
+    );
+
+    const submission = await FlowSubmission.create({
+      id: uuidv4(),
+      ...getAttribution(session),
+      kind: "screen",
+      screen_id: screenId,
+      ...normalized,
+    });
+
+    const rows = Object.entries(normalized.values).map(
+      ([fieldName, fieldValue]) => ({
+        ...getAttribution(session),
+        submission_id: submission.id,
+        screen_id: screenId,
+        field_name: fieldName,
+        field_value: JSON.stringify(fieldValue),
+      })
+    );
+    if (rows.length > 0) {
+      await FlowResponse.insertMany(rows);
+    }
+
+    return submission;
+  } catch (error) {
+    console.error("Error saving screen submission:", error);
+    throw error;
+  }
+};
+
+/**
+ * Store the consolidated record of a completed session
+ * Values of every screen on the completed path, later screens winning.
+ * Recording again (a repeated COMPLETE) replaces the earlier record.
+ * @param {Object} params
+ * @param {Object} params.session - Completed session
+ * @param {Object} params.flow - Resolved flow (null for legacy flows)
+ * @param {Object} params.reply - { message_id } when completed by an nfm_reply
+ *   webhook message rather than the data endpoint
+ * @returns {Object} FlowSubmission document
+ */
+const recordFinalSubmission = async ({ session, flow, reply }) => {
+  try {
+    const formState = session.form_state || {};
+    const values = {};
+    let media = [];
+
+    for (const screenId of session.screen_stack) {
+      const screen = normalizeSubmission(
+        formState[screenId],
+        getScreenFieldTypes(flow, screenId)
+      );
+      const replaced = new Set(Object.keys(screen.values));
+
+      Object.assign(values, screen.values);
+      media = [
+        ...media.filter((item) => !replaced.has(item.field_name)),
+        ...screen.media,
+      ];
+    }
+
+    return await FlowSubmission.findOneAndUpdate(
+      { session_id: session.id, kind: "final" },
+      {
+        $set: {
+          ...getAttribution(session),
+          screen_id: session.current_screen,
+          values,
+          media,
+          source: reply ? "nfm_reply" : "data_endpoint",
+          reply_message_id: reply ? reply.message_id : undefined,
+          created_at: session.completed_at || new Date(),
+        },
+        $setOnInsert: { id: uuidv4() },
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    console.error("Error saving final submission:", error);
+    throw error;
+  }
+};
+
+/**
+ * Store a screen submission and notify webhook subscribers
+ */
+const saveScreenSubmission = async ({ session, flow, screenId, payload }) => {
+  const submission = await recordScreenSubmission({
+    session,
+    flow,
+    screenId,
+    values: payload,
+  });
+  await emitFlowEvent("flow.screen_submitted", {
+    ...getSessionEventData(session),
+    ...getSubmissionEventData(submission),
+  });
+};
+
+/**
+ * Store the consolidated submission of a completed session and notify
+ * webhook subscribers
+ */
+const saveFinalSubmission = async ({ session, flow, reply }) => {
+  const submission = await recordFinalSubmission({ session, flow, reply });
+  await emitFlowEvent("flow.completed", {
+    ...getSessionEventData(session),
+    ...getSubmissionEventData(submission),
+    completed_at: session.completed_at,
+  });
+};
+
+module.exports = {
+  normalizeValue,
+  normalizeSubmission,
+  recordScreenSubmission,
+  recordFinalSubmission,
+  saveScreenSubmission,
+  saveFinalSubmission,
+};
@@ -0,0 +1,569 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const { v4: uuidv4 } = require("uuid");
+const WebhookSubscription = require("../models/WebhookSubscription");
+const { WEBHOOK_EVENTS } = require("../models/WebhookSubscription");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const { incrementCounter } = require("../utils/metrics");
+
+const SECRET_PREFIX = "whsec_";
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "8");
+const RETRY_BASE_SECONDS = parseFloat(
+  process.env.WEBHOOK_RETRY_BASE_SECONDS || "30"
+);
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+const WORKER_INTERVAL_SECONDS = parseInt(
+  process.env.WEBHOOK_WORKER_INTERVAL_SECONDS || "15"
+);
+const DELIVERY_TIMEOUT_MS = 10000;
+// A claimed delivery is retried if its worker has not finished by then
+const CLAIM_LEASE_MS = 60 * 1000;
+const QUEUE_BATCH_SIZE = 50;
+
+let workerTimer = null;
+let queueRunning = false;
+
+const toSafeSubscription = (subscription) => {
+  const { secret, _id, __v, ...safe } = subscription.toObject();
+  return safe;
+};
+
+const validateSubscriptionFields = ({ url, events }) => {
+  if (url !== undefined && !/^https?:\/\//.test(url || "")) {
+    throw new Error("url must be an http(s) URL");
+  }
+
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new Error("At least one event is required");
+    }
+    const unknown = events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown events: ${unknown.join(", ")}`);
+    }
+  }
+};
+
+/**
+ * Subscribe a URL to flow events of a business
+ * @param {string} businessId - Business ID
+ * @param {Object} params
+ * @param {string} params.url - Endpoint receiving the events
+ * @param {Array} params.events - Events from WEBHOOK_EVENTS
+ * @param {Array} params.flow_ids - Limit to these flows (optional)
+ * @param {string} params.description - Optional description
+ * @returns {Object} { subscription, secret } - the secret is only returned here
+ */
+const createSubscription = async (
+  businessId,
+  { url, events, flow_ids = [], description }
+) => {
+  try {
+    validateSubscriptionFields({ url, events });
+    if (!url) {
+      throw new Error("url is required");
+    }
+
+    const secret = SECRET_PREFIX + crypto.randomBytes(32).toString("base64url");
+
+    const subscription = new WebhookSubscription({
+      id: uuidv4(),
+      business_id: businessId,
+      url,
+      events,
+      flow_ids,
+      secret,
+      description,
+    });
+
+    await subscription.save();
+    return { subscription: toSafeSubscription(subscription), secret };
+  } catch (error) {
+    console.error("Error creating webhook subscription:", error);
+    throw error;
+  }
+};
+
+const listSubscriptions = async (businessId) => {
+  try {
+    const subscriptions = await WebhookSubscription.find({
+      business_id: businessId,
+    }).sort({ created_at: -1 });
+    return subscriptions.map(toSafeSubscription);
+  } catch (error) {
+    console.error("Error listing webhook subscriptions:", error);
+    throw error;
+  }
+};
+
+/**
+ * Update a subscription's url, events, flow_ids, description or is_active
+ * @param {string} businessId - Business ID
+ * @param {string} subscriptionId - Subscription ID
+ * @param {Object} updates - Fields to change
+ * @returns {Object} Updated subscription
+ */
+const updateSubscription = async (businessId, subscriptionId, updates) => {
+  try {
+    const subscription = await WebhookSubscription.findOne({
+      id: subscriptionId,
+      business_id: businessId,
+    });
+    if (!subscription) {
+      throw new Error("Webhook subscription not found");
+    }
+
+    validateSubscriptionFields(updates);
+    for (const field of [
+      "url",
+      "events",
+      "flow_ids",
+      "description",
+      "is_active",
+    ]) {
+      if (updates[field] !== undefined) {
+        subscription[field] = updates[field];
+      }
+    }
+
+    await subscription.save();
+    return toSafeSubscription(subscription);
+  } catch (error) {
+    console.error("Error updating webhook subscription:", error);
+    throw error;
+  }
+};
+
+const deleteSubscription = async (businessId, subscriptionId) => {
+  try {
+    const result = await WebhookSubscription.deleteOne({
+      id: subscriptionId,
+      business_id: businessId,
+    });
+    if (result.deletedCount === 0) {
+      throw new Error("Webhook subscription not found");
+    }
+    return true;
+  } catch (error) {
+    console.error("Error deleting webhook subscription:", error);
+    throw error;
+  }
+};
+
+/**
+ * Signature header for a request body
+ * Receivers recompute HMAC-SHA256(secret, "<t>.<body>") and compare it to v1,
+ * rejecting old timestamps to prevent replays.
+ * @param {string} secret - Subscription secret
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix seconds (defaults to now)
+ * @returns {string} "t=<timestamp>,v1=<hex HMAC>"
+ */
+const signWebhookPayload = (
+  secret,
+  body,
+  timestamp = Math.floor(Date.now() / 1000)
+) => {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Queue an event for every matching subscription
+ * @param {string} event - Event name from WEBHOOK_EVENTS
+ * @param {Object} data - Event data; business_id and flow_id select subscriptions
+ * @param {Object} options
+ * @param {Array} options.urls - Extra URLs to deliver to without a subscription
+ * @returns {number} Deliveries queued
+ */
+const queueFlowEvent = async (event, data, { urls = [] } = {}) => {
+  try {
+    const subscriptions = data.business_id
+      ? await WebhookSubscription.find({
+          business_id: data.business_id,
+          is_active: true,
+          events: event,
+          $or: [{ flow_ids: { $size: 0 } }, { flow_ids: data.flow_id }],
+        })
+      : [];
+
+    const targets = [
+      ...subscriptions.map((subscription) => ({
+        subscription_id: subscription.id,
+        url: subscription.url,
+      })),
+      ...urls.map((url) => ({ url })),
+    ];
+    if (targets.length === 0) {
+      return 0;
+    }
+
+    const eventId = uuidv4();
+    const payload = {
+      id: eventId,
+      event,
+      created_at: new Date().toISOString(),
+      data,
+    };
+
+    await WebhookDelivery.insertMany(
+      targets.map((target) => ({
+        id: uuidv4(),
+        event_id: eventId,
+        event,
+        business_id: data.business_id,
+        flow_id: data.flow_id,
+        ...target,
+        payload,
+      }))
+    );
+
+    scheduleQueueRun();
+    return targets.length;
+  } catch (error) {
+    console.error(`Error queueing ${event} webhooks:`, error);
+    throw error;
+  }
+};
+
+/**
+ * queueFlowEvent for request handlers: a failing webhook must not fail the
+ * flow request that caused it, so errors are only logged
+ */
+const emitFlowEvent = async (event, data, options) => {
+  try {
+    return await queueFlowEvent(event, data, options);
+  } catch (error) {
+    return 0;
+  }
+};
+
+const getSessionEventData = (session) => ({
+  session_id: session.id,
+  flow_id: session.flow_id,
+  business_id: session.business_id,
+  user_id: session.user_id,
+});
+
+// Submission fields for event data; media keys stay out of webhooks
+const getSubmissionEventData = (submission) => ({
+  submission_id: submission.id,
+  screen_id: submission.screen_id,
+  values: submission.values,
+  media: (submission.media || []).map(
+    ({ field_name, media_id, file_name }) => ({
+      field_name,
+      media_id,
+      file_name,
+    })
+  ),
+});
+
+// Exponential backoff with jitter, capped at MAX_RETRY_DELAY_SECONDS
+const getRetryDelayMs = (attempts) => {
+  const seconds = Math.min(
+    RETRY_BASE_SECONDS * Math.pow(2, attempts - 1),
+    MAX_RETRY_DELAY_SECONDS
+  );
+  return Math.round(seconds * 1000 * (0.8 + Math.random() * 0.4));
+};
+
+/**
+ * Secret to sign a delivery with
+ * @param {Object} delivery - Delivery document
+ * @returns {Object} { secret }, or { reason } when the delivery must not be sent
+ */
+const getDeliverySecret = async (delivery) => {
+  if (!delivery.subscription_id) {
+    return process.env.WEBHOOK_SIGNING_SECRET
+      ? { secret: process.env.WEBHOOK_SIGNING_SECRET }
+      : { reason: "WEBHOOK_SIGNING_SECRET is not set" };
+  }
+
+  const subscription = await WebhookSubscription.findOne({
+    id: delivery.subscription_id,
+  });
+  if (!subscription) {
+    return { reason: "Webhook subscription was deleted" };
+  }
+  if (!subscription.is_active) {
+    return { reason: "Webhook subscription is inactive" };
+  }
+  return { secret: subscription.secret };
+};
+
+const markDeliveryDead = async (delivery, reason) => {
+  console.warn(
+    `☠️ Webhook delivery ${delivery.id} (${delivery.event}) dropped: ${reason}`
+  );
+  incrementCounter("webhook_deliveries_total", {
+    event: delivery.event,
+    status: "dead",
+  });
+
+  return await WebhookDelivery.findOneAndUpdate(
+    { id: delivery.id },
+    { $set: { status: "dead", last_error: reason } },
+    { new: true }
+  );
+};
+
+/**
+ * Make one attempt at a claimed delivery and record the outcome
+ * @param {Object} delivery - Delivery document in the delivering state
+ * @returns {Object} Updated delivery
+ */
+const attemptDelivery = async (delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "whatsapp-flow-endpoint-webhooks",
+    "X-Flow-Event": delivery.event,
+    "X-Flow-Delivery": delivery.id,
+  };
+
+  const attempts = delivery.attempts + 1;
+  const update = { attempts, last_attempt_at: new Date() };
+  const cleared = {};
+
+  try {
+    // A secret that cannot be decrypted (e.g. after a master key rotation
+    // that skipped it) is a failed attempt like any other
+    const { secret, reason } = await getDeliverySecret(delivery);
+    if (!secret) {
+      // Never sent unsigned; retrying cannot help, a replay can once fixed
+      return await markDeliveryDead(delivery, reason);
+    }
+    headers["X-Flow-Signature"] = signWebhookPayload(secret, body);
+
+    const response = await axios.post(delivery.url, body, {
+      headers,
+      timeout: DELIVERY_TIMEOUT_MS,
+      validateStatus: () => true,
+      // Redirects would forward the signed body somewhere else
+      maxRedirects: 0,
+    });
+
+    update.last_status_code = response.status;
+    if (response.status >= 200 && response.status < 300) {
+      update.status = "delivered";
+      update.delivered_at = new Date();
+      cleared.last_error = 1;
+    } else {
+      update.last_error = `HTTP ${response.status}`;
+    }
+  } catch (error) {
+    cleared.last_status_code = 1;
+    update.last_error = error.code || error.message;
+  }
+
+  if (!update.status) {
+    if (attempts >= MAX_ATTEMPTS) {
+      update.status = "dead";
+      console.warn(
+        `☠️ Webhook delivery ${delivery.id} (${delivery.event}) is dead after ${attempts} attempts: ${update.last_error}`
+      );
+    } else {
+      update.status = "pending";
+      update.next_attempt_at = new Date(Date.now() + getRetryDelayMs(attempts));
+    }
+  }
+
+  incrementCounter("webhook_deliveries_total", {
+    event: delivery.event,
+    status: update.status,
+  });
+
+  return await WebhookDelivery.findOneAndUpdate(
+    { id: delivery.id },
+    { $set: update, $unset: cleared },
+    { new: true }
+  );
+};
+
+/**
+ * Deliver everything that is due
+ * Deliveries are claimed one at a time with a lease, so several server
+ * instances can share the queue and a crashed worker's claims are retried.
+ * @returns {number} Deliveries attempted
+ */
+const processWebhookQueue = async () => {
+  let processed = 0;
+
+  for (;;) {
+    const due = {
+      status: { $in: ["pending", "delivering"] },
+      next_attempt_at: { $lte: new Date() },
+    };
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      due,
+      {
+        $set: {
+          status: "delivering",
+          next_attempt_at: new Date(Date.now() + CLAIM_LEASE_MS),
+        },
+      },
+      { new: true, sort: { next_attempt_at: 1 } }
+    );
+
+    if (!delivery) {
+      return processed;
+    }
+
+    await attemptDelivery(delivery);
+    processed++;
+
+    // Leave the rest for the next tick
+    if (processed >= QUEUE_BATCH_SIZE) {
+      return processed;
+    }
+  }
+};
+
+const runQueue = async () => {
+  // Skip rather than overlap a slow run
+  if (queueRunning) {
+    return;
+  }
+
+  queueRunning = true;
+  try {
+    await processWebhookQueue();
+  } catch (error) {
+    console.error("Error processing webhook queue:", error);
+  } finally {
+    queueRunning = false;
+  }
+};
+
+// Deliver new events right away instead of waiting for the next tick
+const scheduleQueueRun = () => {
+  if (workerTimer) {
+    setImmediate(runQueue);
+  }
+};
+
+/**
+ * Process the delivery queue every WEBHOOK_WORKER_INTERVAL_SECONDS (0 disables it)
+ */
+const startWebhookWorker = (intervalSeconds = WORKER_INTERVAL_SECONDS) => {
+  if (workerTimer || !intervalSeconds) {
+    return;
+  }
+
+  workerTimer = setInterval(runQueue, intervalSeconds * 1000);
+  workerTimer.unref();
+
+  console.log(`📮 Webhook worker running every ${intervalSeconds}s`);
+};
+
+const stopWebhookWorker = () => {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+};
+
+/**
+ * List deliveries of a business, newest first
+ * @param {string} businessId - Business ID
+ * @param {Object} filters - status, event, subscription_id, flow_id, limit, offset
+ * @returns {Array} Deliveries
+ */
+const listDeliveries = async (
+  businessId,
+  { status, event, subscription_id, flow_id, limit = 100, offset = 0 } = {}
+) => {
+  try {
+    const query = { business_id: businessId };
+    if (status) {
+      query.status = status;
+    }
+    if (event) {
+      query.event = event;
+    }
+    if (subscription_id) {
+      query.subscription_id = subscription_id;
+    }
+    if (flow_id) {
+      query.flow_id = flow_id;
+    }
+
+    return await WebhookDelivery.find(query)
+      .sort({ created_at: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(offset));
+  } catch (error) {
+    console.error("Error listing webhook deliveries:", error);
+    throw error;
+  }
+};
+
+/**
+ * Queue a delivery again with a fresh set of attempts
+ * Works for dead and delivered deliveries alike; the payload is unchanged so
+ * receivers can deduplicate on the event ID.
+ * @param {string} businessId - Business ID
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Object} Requeued delivery
+ */
+const replayDelivery = async (businessId, deliveryId) => {
+  try {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      {
+        id: deliveryId,
+        business_id: businessId,
+        status: { $ne: "delivering" },
+      },
+      {
+        $set: {
+          status: "pending",
+          attempts: 0,
+          next_attempt_at: new Date(),
+        },
+        $unset: { delivered_at: 1 },
+      },
+      { new: true }
+    );
+
+    if (!delivery) {
+      const exists = await WebhookDelivery.exists({
+        id: deliveryId,
+        business_id: businessId,
+      });
+      throw new Error(
+        exists
+          ? "Webhook delivery is being delivered, try again later"
+          : "Webhook delivery not found"
+      );
+    }
+
+    console.log(`🔁 Replaying webhook delivery ${deliveryId}`);
+    scheduleQueueRun();
+    return delivery;
+  } catch (error) {
+    console.error("Error replaying webhook delivery:", error);
+    throw error;
+  }
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  createSubscription,
+  listSubscriptions,
+  updateSubscription,
+  deleteSubscription,
+  signWebhookPayload,
+  queueFlowEvent,
+  emitFlowEvent,
+  getSessionEventData,
+  getSubmissionEventData,
+  processWebhookQueue,
+  startWebhookWorker,
+  stopWebhookWorker,
+  listDeliveries,
+  replayDelivery,
+};
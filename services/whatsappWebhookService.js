@@ -0,0 +1,318 @@
+const Business = require("../models/Business");
+const FlowSession = require("../models/FlowSession");
+const FlowSubmission = require("../models/FlowSubmission");
+const { validateSignature } = require("../utils/encryption");
+const { parseFlowToken } = require("../utils/flowToken");
+const { incrementCounter } = require("../utils/metrics");
+const { resolveFlow } = require("./flowDefinition");
+const { ensureSession, completeSession } = require("./flowSessionService");
+const {
+  recordFinalSubmission,
+  saveFinalSubmission,
+} = require("./submissionService");
+
+// Screen recorded for replies to sessions this server never saw a screen of
+const REPLY_SCREEN = "FLOW_REPLY";
+
+/**
+ * Answer Meta's subscription handshake
+ * @param {Object} query - hub.mode, hub.verify_token and hub.challenge
+ * @returns {string|null} Challenge to echo, or null when the token is wrong
+ */
+const verifyWebhookChallenge = (query) => {
+  const verifyToken = process.env.WHATSAPP_WEBHOOK_VERIFY_TOKEN;
+  if (!verifyToken) {
+    console.warn("WHATSAPP_WEBHOOK_VERIFY_TOKEN is not set up.");
+    return null;
+  }
+
+  if (
+    query["hub.mode"] === "subscribe" &&
+    query["hub.verify_token"] === verifyToken
+  ) {
+    return query["hub.challenge"];
+  }
+  return null;
+};
+
+/**
+ * Businesses the webhook payload is about, keyed by phone_number_id
+ * @param {Object} body - Webhook payload
+ * @returns {Map} phone_number_id -> Business document
+ */
+const findWebhookBusinesses = async (body) => {
+  const phoneNumberIds = new Set();
+  for (const entry of body.entry || []) {
+    for (const change of entry.changes || []) {
+      const metadata = change.value && change.value.metadata;
+      if (metadata && metadata.phone_number_id) {
+        phoneNumberIds.add(metadata.phone_number_id);
+      }
+    }
+  }
+
+  if (phoneNumberIds.size === 0) {
+    return new Map();
+  }
+
+  const businesses = await Business.find({
+    phone_number_id: { $in: [...phoneNumberIds] },
+  });
+  return new Map(
+    businesses.map((business) => [business.phone_number_id, business])
+  );
+};
+
+/**
+ * Check X-Hub-Signature-256 against the app secret of each business
+ * Every business is checked on its own, so one tenant's secret never
+ * vouches for changes addressed to another tenant's phone number.
+ * A business whose secret does not match is kept only when its
+ * signature_mode allows unsigned traffic.
+ * @param {Object} req - Express request object (uses req.rawBody)
+ * @param {Map} businesses - From findWebhookBusinesses
+ * @returns {Map} phone_number_id -> Business, for the businesses whose
+ *   changes may be processed
+ */
+const verifyWebhookSignature = (req, businesses) => {
+  const signature = req.headers["x-hub-signature-256"];
+  const rawBody = req.rawBody || Buffer.from(JSON.stringify(req.body));
+  const verified = new Map();
+
+  for (const [phoneNumberId, business] of businesses) {
+    if (validateSignature(rawBody, signature, business.app_secret)) {
+      verified.set(phoneNumberId, business);
+      continue;
+    }
+
+    const signatureMode = business.signature_mode || "enforce";
+    incrementCounter("whatsapp_webhook_signature_failures_total", {
+      business_id: business.id,
+      reason: !signature
+        ? "missing_header"
+        : !business.app_secret
+        ? "missing_app_secret"
+        : "mismatch",
+      mode: signatureMode,
+    });
+
+    if (signatureMode === "enforce") {
+      console.error(
+        `❌ WhatsApp webhook signature validation failed for business ${business.id}`
+      );
+      continue;
+    }
+
+    console.warn(
+      `⚠️ WhatsApp webhook signature validation failed for business ${business.id} - allowed by signature_mode`
+    );
+    verified.set(phoneNumberId, business);
+  }
+
+  return verified;
+};
+
+/**
+ * Read a flow reply message
+ * @param {Object} message - Message from the webhook payload
+ * @returns {Object|null} { message_id, from, flow_token, values, context_message_id },
+ *   or null when the message is not an nfm_reply
+ */
+const parseFlowReply = (message) => {
+  const interactive = message && message.interactive;
+  if (
+    message.type !== "interactive" ||
+    !interactive ||
+    interactive.type !== "nfm_reply" ||
+    !interactive.nfm_reply
+  ) {
+    return null;
+  }
+
+  let response = {};
+  try {
+    response = JSON.parse(interactive.nfm_reply.response_json || "{}");
+  } catch (error) {
+    console.warn(`⚠️ Unreadable response_json in message ${message.id}`);
+  }
+
+  const { flow_token, ...values } = response;
+  return {
+    message_id: message.id,
+    from: message.from,
+    flow_token,
+    values,
+    // The flow message this is a reply to
+    context_message_id: message.context && message.context.id,
+  };
+};
+
+/**
+ * Complete the session a flow reply belongs to and store its final submission
+ * Sessions are found by flow token, then by the flow message the reply
+ * answers; replies to unknown tokens start a session like the data endpoint.
+ * @param {Object} reply - Parsed reply from parseFlowReply
+ * @param {Object} business - Business owning the phone number
+ * @returns {string} joined, created, duplicate, rejected or unmatched
+ */
+const handleFlowReply = async (reply, business) => {
+  const token = parseFlowToken(reply.flow_token);
+  if (token && token.business_id !== business.id) {
+    console.warn(
+      `⚠️ Flow reply ${reply.message_id} has a token of business ${token.business_id}, not ${business.id}`
+    );
+    return "rejected";
+  }
+
+  let session = reply.flow_token
+    ? await FlowSession.findOne({
+        id: reply.flow_token,
+        business_id: business.id,
+      })
+    : null;
+  if (!session && reply.context_message_id) {
+    session = await FlowSession.findOne({
+      message_id: reply.context_message_id,
+      business_id: business.id,
+    });
+  }
+
+  // Meta retries webhook deliveries; a retry after a failure that left the
+  // final submission unsaved goes through again
+  if (
+    session &&
+    session.reply_message_id === reply.message_id &&
+    (await FlowSubmission.exists({
+      session_id: session.id,
+      reply_message_id: reply.message_id,
+    }))
+  ) {
+    return "duplicate";
+  }
+
+  if (!session && !reply.flow_token) {
+    console.warn(`⚠️ Flow reply ${reply.message_id} matches no session`);
+    return "unmatched";
+  }
+
+  // Legacy flows use the flow token as the flow ID
+  const flow = await resolveFlow({
+    business,
+    flowId: session
+      ? session.flow_id
+      : token
+      ? token.flow_id
+      : reply.flow_token,
+  });
+
+  const result = session ? "joined" : "created";
+  if (!session) {
+    session = await ensureSession({
+      sessionId: reply.flow_token,
+      flow,
+      business,
+      user_id: reply.from,
+    });
+
+    // The token names a session of another business
+    if (session.business_id && session.business_id !== business.id) {
+      console.warn(
+        `⚠️ Flow reply ${reply.message_id} names a session of business ${session.business_id}, not ${business.id}`
+      );
+      return "rejected";
+    }
+  }
+
+  const wasCompleted = session.status === "completed";
+  const screenId = session.current_screen || REPLY_SCREEN;
+
+  // response_json holds what the terminal screen sent, on top of anything
+  // the data endpoint already received from it
+  completeSession(session, screenId, {
+    ...((session.form_state || {})[screenId] || {}),
+    ...reply.values,
+  });
+  session.user_id = session.user_id || reply.from;
+  session.business_id = session.business_id || business.id;
+  session.reply_message_id = reply.message_id;
+  session.last_activity_at = new Date();
+  await session.save();
+
+  const replyInfo = { message_id: reply.message_id };
+  if (wasCompleted) {
+    // flow.completed already went out when the data endpoint completed it
+    await recordFinalSubmission({ session, flow, reply: replyInfo });
+  } else {
+    await saveFinalSubmission({ session, flow, reply: replyInfo });
+  }
+
+  console.log(
+    `📥 Flow reply ${reply.message_id} completed session ${session.id} (${result})`
+  );
+  return result;
+};
+
+/**
+ * Process a verified WhatsApp webhook payload
+ * Only flow replies are handled; other messages and statuses are ignored.
+ * A failing message is logged and skipped so the rest are still processed;
+ * failed counts them so the delivery can be answered with a 5xx and retried.
+ * @param {Object} body - Webhook payload
+ * @param {Map} businesses - From findWebhookBusinesses
+ * @returns {Object} { flow_replies, ignored, failed }
+ */
+const processWhatsAppWebhook = async (body, businesses) => {
+  let flowReplies = 0;
+  let ignored = 0;
+  let failed = 0;
+
+  for (const entry of body.entry || []) {
+    for (const change of entry.changes || []) {
+      const value = change.value || {};
+      const business = businesses.get(
+        value.metadata && value.metadata.phone_number_id
+      );
+
+      if (change.field !== "messages" || !business) {
+        ignored++;
+        continue;
+      }
+
+      for (const message of value.messages || []) {
+        const reply = parseFlowReply(message);
+        if (!reply) {
+          ignored++;
+          continue;
+        }
+
+        let result;
+        try {
+          result = await handleFlowReply(reply, business);
+        } catch (error) {
+          console.error(
+            `Error processing flow reply ${reply.message_id}:`,
+            error
+          );
+          result = "error";
+          failed++;
+        }
+
+        incrementCounter("whatsapp_flow_replies_total", {
+          business_id: business.id,
+          result,
+        });
+        flowReplies++;
+      }
+    }
+  }
+
+  return { flow_replies: flowReplies, ignored, failed };
+};
+
+module.exports = {
+  verifyWebhookChallenge,
+  findWebhookBusinesses,
+  verifyWebhookSignature,
+  parseFlowReply,
+  processWhatsAppWebhook,
+};
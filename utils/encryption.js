@@ -4,17 +4,7 @@
  */
 
 const crypto = require("crypto");
-
-/**
- * FlowEndpointException class for proper error handling
- */
-class FlowEndpointException extends Error {
-  constructor(statusCode, message) {
-    super(message);
-    this.name = this.constructor.name;
-    this.statusCode = statusCode;
-  }
-}
+const { FlowEndpointException, KeyRefreshException } = require("./flowErrors");
 
 /**
  * Decrypt Meta Flow request using RSA and AES-GCM (Meta's official implementation)
@@ -48,10 +38,7 @@ const decryptRequest = (body, privateKeyPem, passphrase = "") => {
     Failed to decrypt. Please verify your private key.
     If you change your public key. You need to return HTTP status code 421 to refresh the public key on the client
     */
-    throw new FlowEndpointException(
-      421,
-      "Failed to decrypt the request. Please verify your private key."
-    );
+    throw new KeyRefreshException();
   }
 
   // Decrypt flow data
@@ -150,13 +137,17 @@ const generateKeyPair = (passphrase = "") => {
 const validateSignature = (rawBody, signature, appSecret) => {
   try {
     if (!appSecret) {
-      console.warn("App Secret is not set up. Skipping signature validation.");
-      return true;
+      console.warn("App Secret is not set up. Cannot validate signature.");
+      return false;
+    }
+
+    if (!signature) {
+      console.error("Error: Request is missing the X-Hub-Signature-256 header");
+      return false;
     }
 
-    const signatureHeader = signature;
     const signatureBuffer = Buffer.from(
-      signatureHeader.replace("sha256=", ""),
+      signature.replace("sha256=", ""),
       "utf-8"
     );
 
@@ -164,7 +155,10 @@ const validateSignature = (rawBody, signature, appSecret) => {
     const digestString = hmac.update(rawBody).digest("hex");
     const digestBuffer = Buffer.from(digestString, "utf-8");
 
-    if (!crypto.timingSafeEqual(digestBuffer, signatureBuffer)) {
+    if (
+      digestBuffer.length !== signatureBuffer.length ||
+      !crypto.timingSafeEqual(digestBuffer, signatureBuffer)
+    ) {
       console.error("Error: Request Signature did not match");
       return false;
     }
@@ -176,6 +170,18 @@ const validateSignature = (rawBody, signature, appSecret) => {
   }
 };
 
+/**
+ * Compute a stable fingerprint for a public key
+ * @param {string} publicKeyPem - RSA public key in PEM format
+ * @returns {string} Hex SHA-256 digest of the DER-encoded SPKI key
+ */
+const getPublicKeyFingerprint = (publicKeyPem) => {
+  const der = crypto
+    .createPublicKey(publicKeyPem)
+    .export({ type: "spki", format: "der" });
+  return crypto.createHash("sha256").update(der).digest("hex");
+};
+
 // Legacy function names for backward compatibility
 const decryptFlowRequest = (
   encryptedFlowData,
@@ -200,6 +206,7 @@ module.exports = {
   decryptFlowRequest,
   encryptFlowResponse,
   generateKeyPair,
+  getPublicKeyFingerprint,
   validateSignature,
   FlowEndpointException,
 };
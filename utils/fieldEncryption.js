@@ -0,0 +1,203 @@
+/**
+ * Envelope encryption for secrets stored in MongoDB
+ * Each value gets its own random data key, which is wrapped with the master key.
+ * Stored format: enc:v1:<master key id>:<wrapped data key>:<iv>:<ciphertext+tag>
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const PREFIX = "enc:v1:";
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const DEFAULT_MASTER_KEY_FILE = path.join(__dirname, "../keys/master.key");
+
+let keyring = null;
+
+/**
+ * Parse a base64 or hex encoded 32 byte key
+ */
+const parseMasterKey = (encoded) => {
+  const value = encoded.trim();
+  const key = /^[0-9a-f]{64}$/i.test(value)
+    ? Buffer.from(value, "hex")
+    : Buffer.from(value, "base64");
+
+  if (key.length !== 32) {
+    throw new Error("Master encryption key must be 32 bytes (base64 or hex)");
+  }
+  return key;
+};
+
+const getKeyId = (key) =>
+  crypto.createHash("sha256").update(key).digest("hex").slice(0, 16);
+
+/**
+ * Load the current master key from MASTER_ENCRYPTION_KEY or the key file
+ * Outside production a key file is created on first use
+ */
+const loadCurrentMasterKey = () => {
+  if (process.env.MASTER_ENCRYPTION_KEY) {
+    return parseMasterKey(process.env.MASTER_ENCRYPTION_KEY);
+  }
+
+  const keyFile = process.env.MASTER_KEY_FILE || DEFAULT_MASTER_KEY_FILE;
+  if (fs.existsSync(keyFile)) {
+    return parseMasterKey(fs.readFileSync(keyFile, "utf8"));
+  }
+
+  if (process.env.NODE_ENV === "production") {
+    throw new Error(
+      "No master encryption key configured. Set MASTER_ENCRYPTION_KEY or MASTER_KEY_FILE."
+    );
+  }
+
+  console.warn(`⚠️ No master encryption key found, generating ${keyFile}`);
+  const key = crypto.randomBytes(32);
+  fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+  fs.writeFileSync(keyFile, key.toString("base64"), { mode: 0o600 });
+  return key;
+};
+
+/**
+ * Current key plus PREVIOUS_MASTER_ENCRYPTION_KEYS (comma separated) for rotation
+ */
+const getKeyring = () => {
+  if (keyring) {
+    return keyring;
+  }
+
+  const current = loadCurrentMasterKey();
+  const keys = new Map([[getKeyId(current), current]]);
+
+  (process.env.PREVIOUS_MASTER_ENCRYPTION_KEYS || "")
+    .split(",")
+    .filter((encoded) => encoded.trim())
+    .forEach((encoded) => {
+      const key = parseMasterKey(encoded);
+      keys.set(getKeyId(key), key);
+    });
+
+  keyring = { currentKeyId: getKeyId(current), current, keys };
+  return keyring;
+};
+
+const sealWithKey = (key, plaintext) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(plaintext),
+    cipher.final(),
+    cipher.getAuthTag(),
+  ]);
+  return { iv, ciphertext };
+};
+
+const openWithKey = (key, iv, sealed) => {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  decipher.setAuthTag(sealed.subarray(-TAG_LENGTH));
+  return Buffer.concat([
+    decipher.update(sealed.subarray(0, -TAG_LENGTH)),
+    decipher.final(),
+  ]);
+};
+
+const isEncryptedSecret = (value) =>
+  typeof value === "string" && value.startsWith(PREFIX);
+
+/**
+ * Encrypt a secret with a fresh data key wrapped by the current master key
+ * Empty values and already encrypted values are returned unchanged
+ * @param {string} plaintext - Secret value
+ * @returns {string} Encrypted envelope
+ */
+const encryptSecret = (plaintext) => {
+  if (plaintext === undefined || plaintext === null || plaintext === "") {
+    return plaintext;
+  }
+  if (isEncryptedSecret(plaintext)) {
+    return plaintext;
+  }
+
+  const { currentKeyId, current } = getKeyring();
+  const dataKey = crypto.randomBytes(32);
+
+  const wrapped = sealWithKey(current, dataKey);
+  const sealed = sealWithKey(dataKey, Buffer.from(String(plaintext), "utf8"));
+
+  return (
+    PREFIX +
+    [
+      currentKeyId,
+      Buffer.concat([wrapped.iv, wrapped.ciphertext]).toString("base64"),
+      sealed.iv.toString("base64"),
+      sealed.ciphertext.toString("base64"),
+    ].join(":")
+  );
+};
+
+/**
+ * Decrypt an envelope produced by encryptSecret
+ * Plaintext values from before encryption was enabled are returned as-is
+ * @param {string} value - Stored value
+ * @returns {string} Plaintext secret
+ */
+const decryptSecret = (value) => {
+  if (!isEncryptedSecret(value)) {
+    return value;
+  }
+
+  const [keyId, wrappedDataKey, iv, ciphertext] = value
+    .slice(PREFIX.length)
+    .split(":");
+
+  const masterKey = getKeyring().keys.get(keyId);
+  if (!masterKey) {
+    throw new Error(`Unknown master encryption key id: ${keyId}`);
+  }
+
+  const wrapped = Buffer.from(wrappedDataKey, "base64");
+  const dataKey = openWithKey(
+    masterKey,
+    wrapped.subarray(0, IV_LENGTH),
+    wrapped.subarray(IV_LENGTH)
+  );
+
+  return openWithKey(
+    dataKey,
+    Buffer.from(iv, "base64"),
+    Buffer.from(ciphertext, "base64")
+  ).toString("utf8");
+};
+
+/**
+ * True when a stored value is plaintext or wrapped by a non-current master key
+ */
+const needsReencryption = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return false;
+  }
+  if (!isEncryptedSecret(value)) {
+    return true;
+  }
+  return value.slice(PREFIX.length).split(":")[0] !== getKeyring().currentKeyId;
+};
+
+/**
+ * Mongoose schema type options for a transparently encrypted string field
+ */
+const encryptedString = (options = {}) => ({
+  type: String,
+  set: encryptSecret,
+  get: decryptSecret,
+  ...options,
+});
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  isEncryptedSecret,
+  needsReencryption,
+  encryptedString,
+};
@@ -0,0 +1,88 @@
+/**
+ * Data endpoint errors
+ * Each class maps a failure to the response Meta's Flow client expects:
+ * an HTTP status that triggers client behaviour, or an encrypted
+ * error_message that keeps the user on the screen.
+ */
+
+/**
+ * Base class; statusCode is the HTTP status sent back to Meta
+ */
+class FlowEndpointException extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * 400 - The decrypted request cannot be processed (unknown action, no token)
+ */
+class InvalidFlowRequestException extends FlowEndpointException {
+  constructor(message) {
+    super(400, message);
+  }
+}
+
+/**
+ * 421 - The request cannot be decrypted; the client re-fetches the public key
+ */
+class KeyRefreshException extends FlowEndpointException {
+  constructor(
+    message = "Failed to decrypt the request. Please verify your private key."
+  ) {
+    super(421, message);
+  }
+}
+
+/**
+ * 427 - The flow token is invalid or expired; the client closes the flow
+ * reason is "expired" for a well-signed token past its lifetime
+ */
+class FlowTokenException extends FlowEndpointException {
+  constructor(message = "Flow token is not valid", reason = "invalid") {
+    super(427, message);
+    this.reason = reason;
+  }
+}
+
+/**
+ * 432 - X-Hub-Signature-256 does not match the payload
+ */
+class SignatureValidationException extends FlowEndpointException {
+  constructor(message = "Request signature validation failed") {
+    super(432, message);
+  }
+}
+
+/**
+ * 200 - Keeps the user on the screen and shows error_message there
+ * Answered with an encrypted screen response instead of an HTTP error.
+ */
+class ScreenErrorException extends FlowEndpointException {
+  constructor(screen, errorMessage, data = {}) {
+    super(200, errorMessage);
+    this.screen = screen;
+    this.data = data;
+  }
+
+  toResponse() {
+    return {
+      screen: this.screen,
+      data: {
+        ...this.data,
+        error_message: this.message,
+      },
+    };
+  }
+}
+
+module.exports = {
+  FlowEndpointException,
+  InvalidFlowRequestException,
+  KeyRefreshException,
+  FlowTokenException,
+  SignatureValidationException,
+  ScreenErrorException,
+};
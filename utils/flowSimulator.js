@@ -0,0 +1,201 @@
+/**
+ * Meta Flow client simulator
+ * Builds data endpoint requests the way WhatsApp does (RSA-OAEP wrapped
+ * AES-128-GCM key, X-Hub-Signature-256) and decrypts the responses with the
+ * flipped IV, so whole flows can be scripted against a local server.
+ */
+
+const crypto = require("crypto");
+const axios = require("axios");
+
+const TAG_LENGTH = 16;
+const DEFAULT_VERSION = "3.0";
+
+/**
+ * Encrypt a request body with a business's public key
+ * @param {Object} body - Decrypted request ({ version, action, screen, data, flow_token })
+ * @param {string} publicKeyPem - Business RSA public key in PEM format
+ * @returns {Object} { request, aesKeyBuffer, initialVectorBuffer }; request
+ *   holds encrypted_flow_data, encrypted_aes_key and initial_vector
+ */
+const encryptFlowRequest = (body, publicKeyPem) => {
+  const aesKeyBuffer = crypto.randomBytes(16);
+  const initialVectorBuffer = crypto.randomBytes(16);
+
+  const cipher = crypto.createCipheriv(
+    "aes-128-gcm",
+    aesKeyBuffer,
+    initialVectorBuffer
+  );
+  const encryptedFlowData = Buffer.concat([
+    cipher.update(JSON.stringify(body), "utf-8"),
+    cipher.final(),
+    cipher.getAuthTag(),
+  ]);
+
+  const encryptedAesKey = crypto.publicEncrypt(
+    {
+      key: crypto.createPublicKey(publicKeyPem),
+      padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+      oaepHash: "sha256",
+    },
+    aesKeyBuffer
+  );
+
+  return {
+    request: {
+      encrypted_flow_data: encryptedFlowData.toString("base64"),
+      encrypted_aes_key: encryptedAesKey.toString("base64"),
+      initial_vector: initialVectorBuffer.toString("base64"),
+    },
+    aesKeyBuffer,
+    initialVectorBuffer,
+  };
+};
+
+/**
+ * Decrypt a data endpoint response, the counterpart of encryptResponse
+ * @param {string} encryptedResponse - Base64 response body
+ * @param {Buffer} aesKeyBuffer - AES key the request was encrypted with
+ * @param {Buffer} initialVectorBuffer - IV of the request (flipped here)
+ * @returns {Object} Decrypted response
+ */
+const decryptFlowResponse = (
+  encryptedResponse,
+  aesKeyBuffer,
+  initialVectorBuffer
+) => {
+  const responseBuffer = Buffer.from(encryptedResponse, "base64");
+  const flippedIv = Buffer.from(initialVectorBuffer.map((byte) => ~byte));
+
+  const decipher = crypto.createDecipheriv(
+    "aes-128-gcm",
+    aesKeyBuffer,
+    flippedIv
+  );
+  decipher.setAuthTag(responseBuffer.subarray(-TAG_LENGTH));
+
+  return JSON.parse(
+    Buffer.concat([
+      decipher.update(responseBuffer.subarray(0, -TAG_LENGTH)),
+      decipher.final(),
+    ]).toString("utf-8")
+  );
+};
+
+/**
+ * X-Hub-Signature-256 header value for a raw body
+ * @param {string} rawBody - Exact body that is sent
+ * @param {string} appSecret - App secret
+ * @returns {string} "sha256=<hex>"
+ */
+const signFlowRequest = (rawBody, appSecret) =>
+  `sha256=${crypto
+    .createHmac("sha256", appSecret)
+    .update(rawBody)
+    .digest("hex")}`;
+
+/**
+ * Create a simulated Flow client for one flow token
+ * The screen of the last response is remembered and used when a step does
+ * not name one.
+ * @param {Object} options
+ * @param {string} options.endpointUrl - Data endpoint URL
+ * @param {string} options.publicKey - Business RSA public key (PEM)
+ * @param {string} options.appSecret - App secret; requests are unsigned without it
+ * @param {string} options.flowToken - Flow token sent with every request
+ * @param {string} options.version - Data API version
+ * @returns {Object} Simulator with send, ping, init, dataExchange, back,
+ *   complete and run
+ */
+const createFlowSimulator = ({
+  endpointUrl,
+  publicKey,
+  appSecret,
+  flowToken,
+  version = DEFAULT_VERSION,
+}) => {
+  const simulator = { currentScreen: null, history: [] };
+
+  /**
+   * Send one action
+   * @returns {Object} { status, body } - body is the decrypted response for
+   *   a 200, otherwise whatever the server sent
+   */
+  simulator.send = async (action, { screen, data } = {}) => {
+    const requestBody = { version, action };
+    if (action !== "ping") {
+      requestBody.flow_token = flowToken;
+      requestBody.screen = screen || simulator.currentScreen || undefined;
+      requestBody.data = data || {};
+    }
+
+    const { request, aesKeyBuffer, initialVectorBuffer } = encryptFlowRequest(
+      requestBody,
+      publicKey
+    );
+    const rawBody = JSON.stringify(request);
+    const headers = { "Content-Type": "application/json" };
+    if (appSecret) {
+      headers["X-Hub-Signature-256"] = signFlowRequest(rawBody, appSecret);
+    }
+
+    const response = await axios.post(endpointUrl, rawBody, {
+      headers,
+      responseType: "text",
+      transformResponse: (body) => body,
+      validateStatus: () => true,
+    });
+
+    const result = { action, request: requestBody, status: response.status };
+    if (response.status === 200) {
+      result.body = decryptFlowResponse(
+        response.data,
+        aesKeyBuffer,
+        initialVectorBuffer
+      );
+      if (result.body.screen) {
+        simulator.currentScreen = result.body.screen;
+      }
+    } else {
+      result.body = response.data || null;
+    }
+
+    simulator.history.push(result);
+    return result;
+  };
+
+  simulator.ping = () => simulator.send("ping");
+  simulator.init = (data) => simulator.send("INIT", { data });
+  simulator.dataExchange = (data, screen) =>
+    simulator.send("data_exchange", { screen, data });
+  simulator.back = (screen) => simulator.send("BACK", { screen });
+  simulator.complete = (data, screen) =>
+    simulator.send("COMPLETE", { screen, data });
+
+  /**
+   * Run a sequence of steps, stopping at the first non-200 response
+   * @param {Array} steps - [{ action, screen, data }]
+   * @returns {Array} Results of the steps that ran
+   */
+  simulator.run = async (steps) => {
+    const results = [];
+    for (const step of steps) {
+      const result = await simulator.send(step.action, step);
+      results.push(result);
+      if (result.status !== 200) {
+        break;
+      }
+    }
+    return results;
+  };
+
+  return simulator;
+};
+
+module.exports = {
+  encryptFlowRequest,
+  decryptFlowResponse,
+  signFlowRequest,
+  createFlowSimulator,
+};
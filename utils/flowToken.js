@@ -0,0 +1,162 @@
+/**
+ * Signed flow tokens
+ * A token identifies the business, flow and recipient a flow message was sent to,
+ * so the data endpoint can resolve the tenant and user without a lookup table.
+ * Format: ft1.<base64url JSON payload>.<base64url HMAC-SHA256>
+ * Tampered and expired tokens are rejected with the 427 response Meta expects.
+ */
+
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+const { FlowTokenException } = require("./flowErrors");
+
+const TOKEN_PREFIX = "ft1";
+const DEFAULT_TTL_HOURS = parseFloat(process.env.FLOW_TOKEN_TTL_HOURS || "24");
+
+let tokenSecret = null;
+
+/**
+ * FLOW_TOKEN_SECRET; kept apart from the master key so rotating that key
+ * does not invalidate the flow tokens already sent
+ */
+const getTokenSecret = () => {
+  if (tokenSecret) {
+    return tokenSecret;
+  }
+
+  if (!process.env.FLOW_TOKEN_SECRET) {
+    throw new Error("FLOW_TOKEN_SECRET must be set to sign flow tokens");
+  }
+
+  tokenSecret = Buffer.from(process.env.FLOW_TOKEN_SECRET, "utf8");
+  return tokenSecret;
+};
+
+const sign = (encodedPayload) =>
+  crypto
+    .createHmac("sha256", getTokenSecret())
+    .update(`${TOKEN_PREFIX}.${encodedPayload}`)
+    .digest("base64url");
+
+const isSignedFlowToken = (token) =>
+  typeof token === "string" && token.startsWith(`${TOKEN_PREFIX}.`);
+
+/**
+ * Mint a flow token
+ * @param {Object} params
+ * @param {string} params.businessId - Business ID
+ * @param {string} params.flowId - Flow ID
+ * @param {string} params.recipient - Recipient WhatsApp number
+ * @param {number} params.ttlHours - Lifetime, defaults to FLOW_TOKEN_TTL_HOURS
+ * @returns {string} Signed flow token
+ */
+const createFlowToken = ({
+  businessId,
+  flowId,
+  recipient,
+  ttlHours = DEFAULT_TTL_HOURS,
+}) => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const payload = {
+    b: businessId,
+    f: flowId,
+    r: recipient,
+    n: uuidv4(),
+    iat: issuedAt,
+    exp: issuedAt + Math.round(ttlHours * 60 * 60),
+  };
+
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString(
+    "base64url"
+  );
+  return `${TOKEN_PREFIX}.${encodedPayload}.${sign(encodedPayload)}`;
+};
+
+// Returns { payload } for a well-signed token, or { reason } when it cannot be trusted
+const decodeFlowToken = (token) => {
+  const [, encodedPayload, signature] = token.split(".");
+  if (!encodedPayload || !signature) {
+    return { reason: "malformed" };
+  }
+
+  const expected = Buffer.from(sign(encodedPayload));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return { reason: "invalid_signature" };
+  }
+
+  try {
+    const payload = JSON.parse(
+      Buffer.from(encodedPayload, "base64url").toString("utf8")
+    );
+    return {
+      payload: {
+        business_id: payload.b,
+        flow_id: payload.f,
+        recipient: payload.r,
+        nonce: payload.n,
+        issued_at: new Date(payload.iat * 1000),
+        expires_at: payload.exp ? new Date(payload.exp * 1000) : undefined,
+      },
+    };
+  } catch (error) {
+    return { reason: "malformed" };
+  }
+};
+
+/**
+ * Read a flow token minted by createFlowToken, without checking expiry
+ * @param {string} token - Flow token
+ * @returns {Object|null} { business_id, flow_id, recipient, nonce, issued_at, expires_at },
+ *   or null when the token is not a valid signed token
+ */
+const parseFlowToken = (token) => {
+  if (!isSignedFlowToken(token)) {
+    return null;
+  }
+  return decodeFlowToken(token).payload || null;
+};
+
+/**
+ * Validate the flow token of a data endpoint request
+ * Unsigned tokens (flows sent elsewhere, Meta's preview) are passed through as
+ * legacy tokens unless REQUIRE_SIGNED_FLOW_TOKENS is true.
+ * @param {string} token - Flow token from the decrypted request
+ * @returns {Object|null} Token payload, or null for an accepted legacy token
+ * @throws {FlowTokenException} 427 for tampered, expired or missing signed tokens
+ */
+const verifyFlowToken = (token) => {
+  if (!isSignedFlowToken(token)) {
+    if (process.env.REQUIRE_SIGNED_FLOW_TOKENS === "true") {
+      throw new FlowTokenException();
+    }
+    return null;
+  }
+
+  const { payload, reason } = decodeFlowToken(token);
+  if (!payload) {
+    console.warn(`⚠️ Rejected flow token: ${reason}`);
+    throw new FlowTokenException();
+  }
+
+  if (payload.expires_at && payload.expires_at.getTime() <= Date.now()) {
+    console.warn(
+      `⚠️ Rejected flow token for flow ${
+        payload.flow_id
+      }: expired at ${payload.expires_at.toISOString()}`
+    );
+    throw new FlowTokenException("Flow token has expired", "expired");
+  }
+
+  return payload;
+};
+
+module.exports = {
+  createFlowToken,
+  parseFlowToken,
+  verifyFlowToken,
+  isSignedFlowToken,
+};
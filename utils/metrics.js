@@ -0,0 +1,39 @@
+/**
+ * Minimal in-process metrics registry
+ * Counters are keyed by name plus a sorted set of labels
+ */
+
+const counters = new Map();
+
+const serializeLabels = (labels) =>
+  Object.keys(labels)
+    .sort()
+    .map((key) => `${key}=${labels[key]}`)
+    .join(",");
+
+/**
+ * Increment a labelled counter
+ * @param {string} name - Counter name, e.g. flow_signature_failures_total
+ * @param {Object} labels - Label values, e.g. { business_id, reason }
+ * @param {number} amount - Increment (default 1)
+ */
+const incrementCounter = (name, labels = {}, amount = 1) => {
+  const key = `${name}{${serializeLabels(labels)}}`;
+  const counter = counters.get(key) || { name, labels, value: 0 };
+  counter.value += amount;
+  counter.updated_at = new Date().toISOString();
+  counters.set(key, counter);
+};
+
+/**
+ * Snapshot of all counters, optionally filtered by name
+ * @param {string} name - Counter name to filter by
+ * @returns {Array} Counters with name, labels, value and updated_at
+ */
+const getCounters = (name) =>
+  [...counters.values()].filter((counter) => !name || counter.name === name);
+
+module.exports = {
+  incrementCounter,
+  getCounters,
+};
@@ -0,0 +1,78 @@
+/**
+ * Template helpers for data source configuration
+ * Placeholders look like {{payload.city}} or {{session.customer_id}}
+ */
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.[\]-]+)\s*\}\}/g;
+const SINGLE_PLACEHOLDER_PATTERN = /^\{\{\s*([\w.[\]-]+)\s*\}\}$/;
+
+/**
+ * Read a value from an object using a dot path ("data.items", "results[0].name")
+ * @param {Object} source - Object to read from
+ * @param {string} path - Dot path; empty path returns the source itself
+ * @returns {*} Value at the path, or undefined
+ */
+const getValueAtPath = (source, path) => {
+  if (!path) {
+    return source;
+  }
+
+  return path
+    .replace(/\[(\d+)\]/g, ".$1")
+    .split(".")
+    .filter(Boolean)
+    .reduce(
+      (value, segment) =>
+        value === undefined || value === null ? undefined : value[segment],
+      source
+    );
+};
+
+/**
+ * Interpolate placeholders in a string, object or array template
+ * A string that is exactly one placeholder keeps the value's original type
+ * @param {*} template - Template value
+ * @param {Object} scope - Values available to placeholders
+ * @param {Object} options
+ * @param {boolean} options.encode - URI-encode substituted values (for URLs)
+ * @returns {*} Interpolated value
+ */
+const interpolate = (template, scope, { encode = false } = {}) => {
+  if (Array.isArray(template)) {
+    return template.map((item) => interpolate(item, scope, { encode }));
+  }
+
+  if (template && typeof template === "object") {
+    return Object.fromEntries(
+      Object.entries(template).map(([key, value]) => [
+        key,
+        interpolate(value, scope, { encode }),
+      ])
+    );
+  }
+
+  if (typeof template !== "string") {
+    return template;
+  }
+
+  const singleMatch = !encode && template.match(SINGLE_PLACEHOLDER_PATTERN);
+  if (singleMatch) {
+    return getValueAtPath(scope, singleMatch[1]);
+  }
+
+  return template.replace(PLACEHOLDER_PATTERN, (match, path) => {
+    const value = getValueAtPath(scope, path);
+    if (value === undefined || value === null) {
+      return "";
+    }
+
+    const text =
+      typeof value === "object" ? JSON.stringify(value) : String(value);
+    return encode ? encodeURIComponent(text) : text;
+  });
+};
+
+module.exports = {
+  getValueAtPath,
+  interpolate,
+};